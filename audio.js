@@ -1,31 +1,108 @@
 /**
  * Neon Motion Drum - Web Audio 合成鼓聲模組
  * 使用 Web Audio API 合成電子鼓聲，不需要外部音效檔
+ * 音色以參數物件描述 (voices.js)，由 playVoice() 依參數建立節點
+ *
+ * 也可載入音效檔取代合成音色 (見 loadKit / loadSample)：
+ * 有樣本的音色播放樣本，沒有樣本的音色仍使用合成
+ *
+ * 訊號路徑：各層 → 單次發聲 (handle) → 鼓墊聲道 (音量 → 聲像) → masterGain → 限制器 → destination
+ * 每個鼓墊有獨立聲道 (音量、聲像、靜音、獨奏)，同一悶音組 (choke) 的鼓墊會互相切斷仍在響的聲音
+ * 聲道另有殘響 / 延遲 send，效果回送接回 masterGain (見 effects.js)
+ *
+ * 複音限制：每個鼓墊與全體同時發聲數有上限，超過時以短淡出搶走最早的聲音
+ * (低閾值的吵雜畫面可能連續觸發，避免 Crash 1.5 秒的尾音堆積拖慢低階筆電)
  */
 
+import { DEFAULT_VOICES, cloneVoice, normalizeVoice } from './voices.js';
+import { MasterEffects } from './effects.js';
+
+// 悶音 / 搶聲時的淡出時間常數 (秒)，約 15ms 淡出，避免直接切斷產生爆音
+const RELEASE_TIME_CONSTANT = 0.005;
+
+export const DEFAULT_POLYPHONY = {
+  perPad: 4,   // 每個鼓墊同時發聲數
+  total: 24    // 全體同時發聲數
+};
+
+// 副檔名對應的 MIME 類型 (判斷瀏覽器能否播放)
+const AUDIO_TYPES = {
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  mp3: 'audio/mpeg'
+};
+
+/**
+ * 從多個候選檔案中選出瀏覽器可播放的第一個
+ * 無法判斷時 (例如沒有 Audio 元素的環境) 直接使用第一個
+ */
+function pickPlayableFile(files) {
+  const candidates = Array.isArray(files) ? files : [files];
+  if (typeof Audio === 'undefined') return candidates[0];
+
+  const probe = new Audio();
+  return candidates.find(file => {
+    const ext = file.split('.').pop().toLowerCase();
+    return AUDIO_TYPES[ext] && probe.canPlayType(AUDIO_TYPES[ext]) !== '';
+  }) || candidates[0];
+}
+
+/**
+ * 依力度縮放參數值
+ * amount 為力度影響比例：0 = 不受力度影響，1 = 與力度成正比
+ * 力度 1 時回傳原值
+ */
+function scaleByVelocity(value, velocity, amount) {
+  return value * (1 - amount + amount * velocity);
+}
+
 export class SynthDrums {
   constructor() {
     this.audioContext = null;
     this.noiseBuffer = null;
     this.masterGain = null;
+    this.effects = null;
+    this.isRealtime = true;  // false = OfflineAudioContext (離線輸出)
+
+    // 音色名稱 → AudioBuffer (載入的樣本)
+    this.samples = new Map();
+
+    // 音色名稱 → 合成參數 (見 voices.js)
+    this.voices = {};
+    Object.entries(DEFAULT_VOICES).forEach(([name, voice]) => {
+      this.voices[name] = cloneVoice(voice);
+    });
+
+    // 鼓墊 index → 聲道 { input, panner, reverbSend, delaySend, volume, pan, mute, solo, choke, reverb, delay }
+    this.channels = new Map();
+
+    // 仍在發聲的 handle (悶音、複音限制用)，依開始順序排列
+    this.activeVoices = [];
+    this.polyphony = { ...DEFAULT_POLYPHONY };
   }
 
   /**
    * 初始化 AudioContext (必須在用戶互動後呼叫)
+   * @param {BaseAudioContext|null} context - 指定使用的 context (例如 OfflineAudioContext)，null = 建立即時播放的 AudioContext
    */
-  async init() {
-    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  async init(context = null) {
+    this.audioContext = context || new (window.AudioContext || window.webkitAudioContext)();
+    this.isRealtime = !context || typeof OfflineAudioContext === 'undefined' || !(context instanceof OfflineAudioContext);
 
     // 建立主音量控制
     this.masterGain = this.audioContext.createGain();
     this.masterGain.gain.value = 0.8;
-    this.masterGain.connect(this.audioContext.destination);
+
+    // 主效果鏈：masterGain → 限制器 → destination，效果回送接回 masterGain
+    this.effects = new MasterEffects(this.audioContext, this.audioContext.destination);
+    this.masterGain.connect(this.effects.input);
+    this.effects.connectReturns(this.masterGain);
 
     // 預先建立白噪音 buffer (2秒)
     this.noiseBuffer = this.createNoiseBuffer(2);
 
-    // 確保 AudioContext 正在運行
-    if (this.audioContext.state === 'suspended') {
+    // 確保 AudioContext 正在運行 (離線 context 由 startRendering 啟動)
+    if (this.isRealtime && this.audioContext.state === 'suspended') {
       await this.audioContext.resume();
     }
 
@@ -67,305 +144,501 @@ export class SynthDrums {
 
   /**
    * 播放指定音色
+   * @param {string} soundName - 音色名稱
+   * @param {Object} options
+   * @param {number} options.velocity - 力度 (0-1)，影響音量與音色
+   * @param {number|null} options.pad - 鼓墊 index，決定使用的聲道與悶音組 (null = 直接送到 master)
+   * @param {number|null} options.time - 開始時間 (AudioContext 時間，null = 立即)
+   * @param {number|null} options.frequency - 旋律模式的音高 (Hz)，音色以 A4 (440Hz) 為基準移調，null = 原音高
    */
-  play(soundName) {
+  play(soundName, { velocity = 1, pad = null, time = null, frequency = null } = {}) {
     if (!this.audioContext) return;
 
     // 確保 AudioContext 處於運行狀態 (切分頁回來可能被 suspend)
-    if (this.audioContext.state === 'suspended') {
+    if (this.isRealtime && this.audioContext.state === 'suspended') {
       this.audioContext.resume();
     }
 
-    const now = this.audioContext.currentTime;
+    const now = time ?? this.audioContext.currentTime;
+    const vel = Math.max(0.05, Math.min(1, velocity));
+    const pitchRatio = frequency ? frequency / 440 : 1;
+
+    const sample = this.samples.get(soundName);
+    const voice = this.voices[soundName];
+    if (!sample && !voice) {
+      console.warn(`Unknown sound: ${soundName}`);
+      return;
+    }
 
-    switch (soundName) {
-      case 'kick':
-        this.playKick(now);
-        break;
-      case 'snare':
-        this.playSnare(now);
-        break;
-      case 'hihat':
-        this.playHihat(now);
-        break;
-      case 'clap':
-        this.playClap(now);
-        break;
-      case 'tom1':
-        this.playTom(now, 200, 100); // 高音 Tom
-        break;
-      case 'tom2':
-        this.playTom(now, 120, 60);  // 低音 Tom
-        break;
-      case 'crash':
-        this.playCrash(now);
-        break;
-      case 'ride':
-        this.playRide(now);
-        break;
-      case 'synth':
-        this.playSynth(now);
-        break;
-      default:
-        console.warn(`Unknown sound: ${soundName}`);
+    if (pad !== null) {
+      this.choke(pad, now);
+    }
+    this.limitVoices(pad, now);
+    const handle = this.createHandle(pad, now);
+
+    // 有載入樣本的音色優先播放樣本
+    if (sample) {
+      this.playSample(sample, now, vel, handle, pitchRatio);
+    } else {
+      this.playVoice(voice, now, vel, handle, pitchRatio);
     }
   }
 
   /**
-   * Kick (大鼓)
-   * 低頻 sine wave + 快速 pitch bend + 衰減
+   * 建立單次發聲的 handle：所有層接到同一個 gain，悶音時一起淡出
    */
-  playKick(time) {
-    const osc = this.audioContext.createOscillator();
-    const gain = this.audioContext.createGain();
-
-    osc.type = 'sine';
-    osc.frequency.setValueAtTime(150, time);
-    osc.frequency.exponentialRampToValueAtTime(40, time + 0.1);
+  createHandle(pad, time) {
+    const output = this.audioContext.createGain();
+    output.connect(pad === null ? this.masterGain : this.getChannel(pad).input);
 
-    gain.gain.setValueAtTime(1, time);
-    gain.gain.exponentialRampToValueAtTime(0.01, time + 0.4);
-
-    osc.connect(gain);
-    gain.connect(this.masterGain);
-
-    osc.start(time);
-    osc.stop(time + 0.4);
-
-    this.scheduleCleanup(osc, osc, gain);
+    const handle = { pad, time, endTime: time, output, sources: [], pending: 0, released: false };
+    this.activeVoices.push(handle);
+    return handle;
   }
 
   /**
-   * Snare (小鼓)
-   * 噪音 + 三角波 混合
+   * 將音源加入 handle，所有音源結束後釋放 handle
+   * @param {number} endTime - 音源預定結束時間 (離線輸出時 ended 事件要到 rendering 才觸發，以此判斷是否仍在發聲)
    */
-  playSnare(time) {
-    // 噪音部分
-    const noise = this.audioContext.createBufferSource();
-    noise.buffer = this.noiseBuffer;
-
-    const noiseFilter = this.audioContext.createBiquadFilter();
-    noiseFilter.type = 'bandpass';
-    noiseFilter.frequency.value = 3000;
-    noiseFilter.Q.value = 1;
-
-    const noiseGain = this.audioContext.createGain();
-    noiseGain.gain.setValueAtTime(0.8, time);
-    noiseGain.gain.exponentialRampToValueAtTime(0.01, time + 0.2);
+  trackSource(handle, source, endTime) {
+    handle.sources.push(source);
+    handle.endTime = Math.max(handle.endTime, endTime);
+    handle.pending++;
+    source.addEventListener('ended', () => {
+      handle.pending--;
+      if (handle.pending > 0) return;
+
+      handle.output.disconnect();
+      const index = this.activeVoices.indexOf(handle);
+      if (index !== -1) {
+        this.activeVoices.splice(index, 1);
+      }
+    });
+  }
 
-    noise.connect(noiseFilter);
-    noiseFilter.connect(noiseGain);
-    noiseGain.connect(this.masterGain);
+  /**
+   * 悶音：切斷同一悶音組中 (包含同一鼓墊) 較早開始的聲音
+   * 例如 HH 鼓墊在悶音組中時，閉合 Hi-hat 會切斷仍在響的開放 Hi-hat
+   */
+  choke(pad, time) {
+    const group = this.getChannel(pad).choke;
+    if (!group) return;
+
+    this.getSoundingVoices(time).forEach(handle => {
+      if (handle.pad === null || handle.time >= time) return;
+      if (this.getChannel(handle.pad).choke !== group) return;
+      this.releaseHandle(handle, time);
+    });
+  }
 
-    // 音調部分 (三角波)
-    const osc = this.audioContext.createOscillator();
-    osc.type = 'triangle';
-    osc.frequency.setValueAtTime(180, time);
-    osc.frequency.exponentialRampToValueAtTime(100, time + 0.05);
+  /**
+   * 複音限制：新聲音開始前，超過上限時搶走最早開始的聲音 (鼓墊上限先於全體上限)
+   * 只算在 time 之前已經開始的聲音，排程中還沒開始的聲音 (lookahead、量化) 不會被搶走
+   */
+  limitVoices(pad, time) {
+    const sounding = this.getSoundingVoices(time);
 
-    const oscGain = this.audioContext.createGain();
-    oscGain.gain.setValueAtTime(0.7, time);
-    oscGain.gain.exponentialRampToValueAtTime(0.01, time + 0.1);
+    if (pad !== null) {
+      const padVoices = sounding.filter(handle => handle.pad === pad);
+      const excess = padVoices.length - this.polyphony.perPad + 1;
+      padVoices.slice(0, Math.max(0, excess)).forEach(handle => this.releaseHandle(handle, time));
+    }
 
-    osc.connect(oscGain);
-    oscGain.connect(this.masterGain);
+    const remaining = this.getSoundingVoices(time);
+    const excess = remaining.length - this.polyphony.total + 1;
+    remaining.slice(0, Math.max(0, excess)).forEach(handle => this.releaseHandle(handle, time));
+  }
 
-    noise.start(time);
-    noise.stop(time + 0.2);
-    osc.start(time);
-    osc.stop(time + 0.1);
+  /**
+   * 設定複音上限
+   * @param {Object} limits - { perPad, total }
+   */
+  setPolyphony(limits) {
+    if (limits.perPad !== undefined) {
+      this.polyphony.perPad = Math.max(1, Math.min(16, Math.round(limits.perPad)));
+    }
+    if (limits.total !== undefined) {
+      this.polyphony.total = Math.max(1, Math.min(64, Math.round(limits.total)));
+    }
+  }
 
-    this.scheduleCleanup(noise, noise, noiseFilter, noiseGain);
-    this.scheduleCleanup(osc, osc, oscGain);
+  getPolyphony() {
+    return { ...this.polyphony };
   }
 
   /**
-   * Hi-hat (腳踏鈸)
-   * 高頻噪音 + 極短衰減
+   * 指定時間仍在發聲的 handle，依開始時間排序 (不含淡出中與還沒開始的聲音)
    */
-  playHihat(time) {
-    const noise = this.audioContext.createBufferSource();
-    noise.buffer = this.noiseBuffer;
-
-    const filter = this.audioContext.createBiquadFilter();
-    filter.type = 'highpass';
-    filter.frequency.value = 7000;
+  getSoundingVoices(time) {
+    return this.activeVoices
+      .filter(handle => !handle.released && handle.time <= time && handle.endTime > time)
+      .sort((a, b) => a.time - b.time);
+  }
 
-    const gain = this.audioContext.createGain();
-    gain.gain.setValueAtTime(0.4, time);
-    gain.gain.exponentialRampToValueAtTime(0.01, time + 0.08);
+  /**
+   * 目前發聲數
+   */
+  getActiveVoiceCount() {
+    return this.getSoundingVoices(this.audioContext.currentTime).length;
+  }
 
-    noise.connect(filter);
-    filter.connect(gain);
-    gain.connect(this.masterGain);
+  /**
+   * 快速淡出並停止 handle 的所有音源 (悶音、搶聲)
+   */
+  releaseHandle(handle, time) {
+    handle.released = true;
+    handle.endTime = Math.min(handle.endTime, time + RELEASE_TIME_CONSTANT * 10);
+    handle.output.gain.setValueAtTime(1, time);
+    handle.output.gain.setTargetAtTime(0, time, RELEASE_TIME_CONSTANT);
+    handle.sources.forEach(source => {
+      try {
+        source.stop(time + RELEASE_TIME_CONSTANT * 10);
+      } catch (e) {
+        // 音源已停止，忽略
+      }
+    });
+  }
 
-    noise.start(time);
-    noise.stop(time + 0.08);
+  /**
+   * 取得鼓墊聲道 (第一次使用時建立)：input (音量) → panner (聲像) → master
+   * 聲像之後分出殘響 / 延遲 send (post-fader，靜音時 send 也靜音)
+   */
+  getChannel(pad) {
+    if (!this.channels.has(pad)) {
+      const input = this.audioContext.createGain();
+      const panner = this.audioContext.createStereoPanner();
+      const reverbSend = this.audioContext.createGain();
+      const delaySend = this.audioContext.createGain();
+      reverbSend.gain.value = 0;
+      delaySend.gain.value = 0;
+
+      input.connect(panner);
+      panner.connect(this.masterGain);
+      panner.connect(reverbSend);
+      panner.connect(delaySend);
+      reverbSend.connect(this.effects.reverbInput);
+      delaySend.connect(this.effects.delayInput);
+
+      this.channels.set(pad, {
+        input, panner, reverbSend, delaySend,
+        volume: 1, pan: 0, mute: false, solo: false, choke: 0, reverb: 0, delay: 0
+      });
+    }
+    return this.channels.get(pad);
+  }
 
-    this.scheduleCleanup(noise, noise, filter, gain);
+  /**
+   * 設定鼓墊聲道
+   * @param {number} pad - 鼓墊 index
+   * @param {Object} settings - { volume (0-1), pan (-1 ~ 1), mute, solo, choke (悶音組，0 = 無), reverb / delay (send 0-1) }
+   */
+  setChannel(pad, settings) {
+    const channel = this.getChannel(pad);
+    ['volume', 'pan', 'mute', 'solo', 'choke', 'reverb', 'delay'].forEach(key => {
+      if (settings[key] !== undefined) {
+        channel[key] = settings[key];
+      }
+    });
+    this.updateChannelGains();
   }
 
   /**
-   * Clap (拍手)
-   * 多層噪音爆發
+   * 移除所有聲道 (切換鼓墊配置時)
    */
-  playClap(time) {
-    // 建立多層噪音模擬拍手的「散開」感
-    const burstCount = 4;
-    const burstInterval = 0.01;
+  resetChannels() {
+    this.channels.forEach(channel => {
+      channel.input.disconnect();
+      channel.panner.disconnect();
+      channel.reverbSend.disconnect();
+      channel.delaySend.disconnect();
+    });
+    this.channels.clear();
+  }
 
-    for (let i = 0; i < burstCount; i++) {
-      const t = time + i * burstInterval;
+  /**
+   * 套用音量、聲像、靜音與獨奏 (有任一聲道獨奏時，其他聲道靜音)
+   */
+  updateChannelGains() {
+    const anySolo = [...this.channels.values()].some(channel => channel.solo);
+    const now = this.audioContext.currentTime;
 
-      const noise = this.audioContext.createBufferSource();
-      noise.buffer = this.noiseBuffer;
+    this.channels.forEach(channel => {
+      const silent = channel.mute || (anySolo && !channel.solo);
+      channel.input.gain.setTargetAtTime(silent ? 0 : channel.volume, now, 0.01);
+      channel.panner.pan.setTargetAtTime(channel.pan, now, 0.01);
+      channel.reverbSend.gain.setTargetAtTime(channel.reverb, now, 0.01);
+      channel.delaySend.gain.setTargetAtTime(channel.delay, now, 0.01);
+    });
+  }
 
-      const filter = this.audioContext.createBiquadFilter();
-      filter.type = 'bandpass';
-      filter.frequency.value = 1500;
-      filter.Q.value = 0.5;
+  /**
+   * 設定主效果參數 (格式見 effects.js 的 DEFAULT_EFFECTS)
+   */
+  setEffects(params) {
+    if (this.effects) {
+      this.effects.set(params);
+    }
+  }
 
-      const gain = this.audioContext.createGain();
-      const volume = i === burstCount - 1 ? 0.8 : 0.4; // 最後一下最大聲
-      gain.gain.setValueAtTime(volume, t);
-      gain.gain.exponentialRampToValueAtTime(0.01, t + 0.15);
+  getEffects() {
+    return this.effects ? this.effects.getParams() : null;
+  }
 
-      noise.connect(filter);
-      filter.connect(gain);
-      gain.connect(this.masterGain);
+  /**
+   * 試聽音色參數 (不經過樣本，編輯器用)
+   */
+  previewVoice(voice, velocity = 1) {
+    if (!this.audioContext) return;
+    const now = this.audioContext.currentTime;
+    this.playVoice(voice, now, velocity, this.createHandle(null, now));
+  }
 
-      noise.start(t);
-      noise.stop(t + 0.15);
+  /**
+   * 取得音色參數 (回傳副本)
+   */
+  getVoice(soundName) {
+    return this.voices[soundName] ? cloneVoice(this.voices[soundName]) : null;
+  }
 
-      this.scheduleCleanup(noise, noise, filter, gain);
+  /**
+   * 新增或取代音色 (無效的參數會被忽略)
+   * @returns {boolean} 是否成功
+   */
+  setVoice(soundName, voice) {
+    const normalized = normalizeVoice(voice);
+    if (!normalized) {
+      console.warn(`Invalid voice: ${soundName}`);
+      return false;
     }
+    this.voices[soundName] = normalized;
+    return true;
   }
 
   /**
-   * Tom (通鼓)
-   * sine wave + pitch bend
+   * 還原內建音色；非內建音色則移除
    */
-  playTom(time, startFreq, endFreq) {
-    const osc = this.audioContext.createOscillator();
-    const gain = this.audioContext.createGain();
-
-    osc.type = 'sine';
-    osc.frequency.setValueAtTime(startFreq, time);
-    osc.frequency.exponentialRampToValueAtTime(endFreq, time + 0.15);
-
-    gain.gain.setValueAtTime(0.8, time);
-    gain.gain.exponentialRampToValueAtTime(0.01, time + 0.3);
-
-    osc.connect(gain);
-    gain.connect(this.masterGain);
-
-    osc.start(time);
-    osc.stop(time + 0.3);
-
-    this.scheduleCleanup(osc, osc, gain);
+  resetVoice(soundName) {
+    if (DEFAULT_VOICES[soundName]) {
+      this.voices[soundName] = cloneVoice(DEFAULT_VOICES[soundName]);
+    } else {
+      delete this.voices[soundName];
+    }
   }
 
   /**
-   * Crash (碎音鈸)
-   * 噪音 + 長衰減
+   * 所有可用的合成音色名稱
    */
-  playCrash(time) {
-    const noise = this.audioContext.createBufferSource();
-    noise.buffer = this.noiseBuffer;
-
-    const highpass = this.audioContext.createBiquadFilter();
-    highpass.type = 'highpass';
-    highpass.frequency.value = 5000;
+  getVoiceNames() {
+    return Object.keys(this.voices);
+  }
 
-    const lowpass = this.audioContext.createBiquadFilter();
-    lowpass.type = 'lowpass';
-    lowpass.frequency.value = 12000;
+  /**
+   * 播放樣本 (音量依力度縮放)
+   */
+  playSample(buffer, time, velocity, handle, pitchRatio = 1) {
+    const source = this.audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = pitchRatio;
 
     const gain = this.audioContext.createGain();
-    gain.gain.setValueAtTime(0.7, time);
-    gain.gain.exponentialRampToValueAtTime(0.01, time + 1.5);
+    gain.gain.value = velocity;
 
-    noise.connect(highpass);
-    highpass.connect(lowpass);
-    lowpass.connect(gain);
-    gain.connect(this.masterGain);
+    source.connect(gain);
+    gain.connect(handle.output);
 
-    noise.start(time);
-    noise.stop(time + 1.5);
+    source.start(time);
 
-    this.scheduleCleanup(noise, noise, highpass, lowpass, gain);
+    this.scheduleCleanup(source, source, gain);
+    this.trackSource(handle, source, time + buffer.duration / pitchRatio);
   }
 
   /**
-   * Ride (Ride 鈸)
-   * 高頻噪音 + 金屬共鳴感
+   * 載入音色包
+   * manifest 格式：{ "name": "...", "pads": { "kick": ["kick.ogg", "kick.wav"], "snare": "snare.mp3" } }
+   * 每個音色可列出多個候選格式，使用瀏覽器可播放的第一個；路徑相對於 manifest 位置
+   * 也可用 "voices": { "name": { layers: [...] } } 附帶合成音色參數 (格式見 voices.js)
+   * @param {string} manifestUrl - manifest JSON 網址
+   * @returns {Promise<{name: string, loaded: string[], failed: string[]}>}
    */
-  playRide(time) {
-    // 噪音層
-    const noise = this.audioContext.createBufferSource();
-    noise.buffer = this.noiseBuffer;
-
-    const filter = this.audioContext.createBiquadFilter();
-    filter.type = 'bandpass';
-    filter.frequency.value = 8000;
-    filter.Q.value = 2;
-
-    const noiseGain = this.audioContext.createGain();
-    noiseGain.gain.setValueAtTime(0.3, time);
-    noiseGain.gain.exponentialRampToValueAtTime(0.01, time + 0.6);
-
-    noise.connect(filter);
-    filter.connect(noiseGain);
-    noiseGain.connect(this.masterGain);
+  async loadKit(manifestUrl) {
+    const response = await fetch(manifestUrl);
+    if (!response.ok) {
+      throw new Error(`音色包載入失敗: ${response.status} ${manifestUrl}`);
+    }
 
-    // 金屬共鳴 (高頻正弦波)
-    const osc = this.audioContext.createOscillator();
-    osc.type = 'sine';
-    osc.frequency.value = 6000;
+    const manifest = await response.json();
+    const baseUrl = new URL(manifestUrl, window.location.href);
+    const loaded = [];
+    const failed = [];
+
+    Object.entries(manifest.voices || {}).forEach(([soundName, voice]) => {
+      if (this.setVoice(soundName, voice)) {
+        loaded.push(soundName);
+      } else {
+        failed.push(soundName);
+      }
+    });
+
+    await Promise.all(Object.entries(manifest.pads || {}).map(async ([soundName, files]) => {
+      try {
+        const url = new URL(pickPlayableFile(files), baseUrl);
+        const fileResponse = await fetch(url);
+        if (!fileResponse.ok) throw new Error(fileResponse.status);
+        await this.loadSample(soundName, await fileResponse.arrayBuffer());
+        loaded.push(soundName);
+      } catch (error) {
+        // 單一樣本失敗不影響其他音色，該音色維持合成
+        console.warn(`樣本載入失敗 (${soundName}):`, error);
+        failed.push(soundName);
+      }
+    }));
+
+    return { name: manifest.name || manifestUrl, loaded, failed };
+  }
 
-    const oscGain = this.audioContext.createGain();
-    oscGain.gain.setValueAtTime(0.1, time);
-    oscGain.gain.exponentialRampToValueAtTime(0.01, time + 0.4);
+  /**
+   * 解碼音效檔並指定給音色 (WAV / OGG / MP3 等瀏覽器支援的格式)
+   * @param {string} soundName - 音色名稱
+   * @param {ArrayBuffer} arrayBuffer - 音效檔內容
+   */
+  async loadSample(soundName, arrayBuffer) {
+    const buffer = await this.audioContext.decodeAudioData(arrayBuffer);
+    this.samples.set(soundName, buffer);
+    return buffer;
+  }
 
-    osc.connect(oscGain);
-    oscGain.connect(this.masterGain);
+  /**
+   * 音色是否已載入樣本
+   */
+  hasSample(soundName) {
+    return this.samples.has(soundName);
+  }
 
-    noise.start(time);
-    noise.stop(time + 0.6);
-    osc.start(time);
-    osc.stop(time + 0.4);
+  /**
+   * 清除樣本，恢復合成音色 (不指定名稱時清除全部)
+   */
+  clearSample(soundName = null) {
+    if (soundName) {
+      this.samples.delete(soundName);
+    } else {
+      this.samples.clear();
+    }
+  }
 
-    this.scheduleCleanup(noise, noise, filter, noiseGain);
-    this.scheduleCleanup(osc, osc, oscGain);
+  /**
+   * 依音色參數播放 (參數格式見 voices.js)
+   * @param {Object} voice - 音色定義
+   * @param {number} time - 開始時間
+   * @param {number} velocity - 力度 (0-1)
+   * @param {Object} handle - 輸出的 handle (createHandle)
+   * @param {number} pitchRatio - 移調比例 (1 = 原音高)
+   */
+  playVoice(voice, time, velocity, handle, pitchRatio = 1) {
+    voice.layers.forEach(layer => {
+      const bursts = layer.bursts;
+      if (!bursts || bursts.count <= 1) {
+        this.playLayer(layer, time, velocity, layer.level, handle, pitchRatio);
+        return;
+      }
+
+      // 多次爆發：最後一下乘上 accent
+      for (let i = 0; i < bursts.count; i++) {
+        const level = i === bursts.count - 1 ? layer.level * (bursts.accent ?? 1) : layer.level;
+        this.playLayer(layer, time + i * bursts.interval, velocity, level, handle, pitchRatio);
+      }
+    });
   }
 
   /**
-   * Synth (合成器短音)
-   * 方波 + 濾波器 sweep
+   * 播放單一層：音源 → 濾波器 (依序串接) → 音量包絡
    */
-  playSynth(time) {
-    const osc = this.audioContext.createOscillator();
-    osc.type = 'square';
-    osc.frequency.value = 440; // A4
+  playLayer(layer, time, velocity, level, handle, pitchRatio = 1) {
+    const amounts = layer.velocity || {};
+    const decay = scaleByVelocity(layer.decay, velocity, amounts.decay || 0);
+
+    let source;
+    if (layer.source === 'noise') {
+      source = this.audioContext.createBufferSource();
+      source.buffer = this.noiseBuffer;
+    } else {
+      const pitch = layer.pitch;
+      source = this.audioContext.createOscillator();
+      source.type = layer.wave || 'sine';
+      source.frequency.setValueAtTime(scaleByVelocity(pitch.start * pitchRatio, velocity, amounts.pitch || 0), time);
+      if (pitch.end && pitch.time) {
+        source.frequency.exponentialRampToValueAtTime(pitch.end * pitchRatio, time + pitch.time);
+      }
+    }
 
-    const filter = this.audioContext.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.setValueAtTime(2000, time);
-    filter.frequency.exponentialRampToValueAtTime(200, time + 0.3);
-    filter.Q.value = 5;
+    const filters = (layer.filters || []).map(settings => {
+      const filter = this.audioContext.createBiquadFilter();
+      filter.type = settings.type;
+      // 濾波頻率跟著移調，上限為 Nyquist 頻率
+      const track = settings.keyTrack ? pitchRatio : 1;
+      const nyquist = this.audioContext.sampleRate / 2;
+      filter.frequency.setValueAtTime(Math.min(nyquist, scaleByVelocity(settings.frequency * track, velocity, settings.velocity || 0)), time);
+      if (settings.sweepTo && settings.sweepTime) {
+        filter.frequency.exponentialRampToValueAtTime(Math.min(nyquist, settings.sweepTo * track), time + settings.sweepTime);
+      }
+      if (settings.q !== undefined) {
+        filter.Q.value = settings.q;
+      }
+      return filter;
+    });
 
     const gain = this.audioContext.createGain();
-    gain.gain.setValueAtTime(0.4, time);
-    gain.gain.exponentialRampToValueAtTime(0.01, time + 0.3);
+    gain.gain.setValueAtTime(level * velocity, time);
+    gain.gain.exponentialRampToValueAtTime(0.01, time + decay);
+
+    // 串接：source → filters... → gain → handle
+    [source, ...filters, gain].reduce((from, to) => {
+      from.connect(to);
+      return to;
+    });
+    gain.connect(handle.output);
+
+    source.start(time);
+    source.stop(time + decay);
 
-    osc.connect(filter);
-    filter.connect(gain);
-    gain.connect(this.masterGain);
+    this.scheduleCleanup(source, source, ...filters, gain);
+    this.trackSource(handle, source, time + decay);
+  }
 
-    osc.start(time);
-    osc.stop(time + 0.3);
+  /**
+   * 匯出目前的音色、樣本、聲道、效果與複音設定 (離線輸出時複製到另一個 SynthDrums)
+   * 樣本的 AudioBuffer 不屬於特定 context，可直接共用
+   */
+  getConfig() {
+    const channels = [...this.channels].map(([pad, channel]) => [pad, {
+      volume: channel.volume,
+      pan: channel.pan,
+      mute: channel.mute,
+      solo: channel.solo,
+      choke: channel.choke,
+      reverb: channel.reverb,
+      delay: channel.delay
+    }]);
+
+    return {
+      voices: cloneVoice(this.voices),
+      samples: new Map(this.samples),
+      channels,
+      effects: this.getEffects(),
+      polyphony: this.getPolyphony(),
+      volume: this.masterGain ? this.masterGain.gain.value : 0.8
+    };
+  }
 
-    this.scheduleCleanup(osc, osc, filter, gain);
+  /**
+   * 套用 getConfig() 匯出的設定 (需在 init 之後呼叫)
+   */
+  applyConfig(config) {
+    this.voices = cloneVoice(config.voices);
+    this.samples = new Map(config.samples);
+    config.channels.forEach(([pad, settings]) => this.setChannel(pad, settings));
+    this.setEffects(config.effects);
+    this.setPolyphony(config.polyphony);
+    this.setVolume(config.volume);
   }
 
   /**
@@ -381,6 +654,9 @@ export class SynthDrums {
    * 清理資源
    */
   dispose() {
+    this.channels.clear();
+    this.activeVoices = [];
+    this.effects = null;
     if (this.audioContext) {
       this.audioContext.close();
       this.audioContext = null;
@@ -0,0 +1,219 @@
+/**
+ * Neon Motion Drum - 節拍時鐘
+ * 以 AudioContext 時間為基準的拍子格線 (BPM、swing、量化格線)，加上 lookahead 排程器：
+ * 計時器每 25ms 檢查一次，把接下來 LOOKAHEAD 秒內要發生的事件交給回呼，
+ * 回呼再以 Web Audio 的時間參數精準排程 (不受計時器抖動影響)
+ *
+ * 週期性的排程 (節拍器等) 以 addTickListener 註冊，每次檢查時收到排程範圍的結束時間
+ * 依賴拍子位置的功能 (loop) 執行中以 lock() 鎖住格線，其他功能不再重設第 0 拍
+ *
+ * 量化：動作觸發延後到下一個格線位置，strength 決定移動的比例 (1 = 完全對齊，0.5 = 只移一半保留人味)
+ */
+
+// 量化格線 (以拍為單位)
+export const GRID_DIVISIONS = {
+  '1/8': 1 / 2,
+  '1/16': 1 / 4,
+  '1/8T': 1 / 3,   // 八分音符三連音
+  '1/16T': 1 / 6   // 十六分音符三連音
+};
+
+export const DEFAULT_TEMPO = {
+  bpm: 120,
+  swing: 0,         // 奇數格 (反拍) 延後的比例 (0-0.5 格，三連音格線不套用)
+  grid: '1/16',
+  strength: 1,      // 量化強度 (0-1)
+  quantize: false   // 是否量化動作觸發
+};
+
+// 排程器預先排入的時間 (秒) 與檢查間隔 (ms)
+const LOOKAHEAD = 0.1;
+const TICK_INTERVAL = 25;
+
+// 剛過格線這麼短的時間內 (秒) 視為已經對齊，直接播放，不等下一格
+const LATE_TOLERANCE = 0.03;
+
+export class TempoClock {
+  /**
+   * @param {BaseAudioContext} context - 時間基準
+   * @param {Object} params - 初始參數 (見 DEFAULT_TEMPO)
+   */
+  constructor(context, params = {}) {
+    this.context = context;
+    this.params = { ...DEFAULT_TEMPO };
+    this.origin = context.currentTime;  // 第 0 拍的時間
+    this.queue = [];                    // 待排程的事件 { time, callback }，依時間排序
+    this.tickListeners = [];            // 每次檢查時呼叫 (horizon)
+    this.locks = new Set();             // 鎖住格線的功能
+    this.timer = null;
+
+    this.set(params);
+  }
+
+  /**
+   * 開始排程 (以 time 為第 0 拍；格線被鎖住時保留原本的第 0 拍)
+   */
+  start(time = this.context.currentTime) {
+    if (!this.isLocked()) {
+      this.origin = time;
+    }
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+  }
+
+  /**
+   * 鎖住 / 解開格線 (owner 為鎖住的功能)
+   */
+  lock(owner) {
+    this.locks.add(owner);
+  }
+
+  unlock(owner) {
+    this.locks.delete(owner);
+  }
+
+  isLocked() {
+    return this.locks.size > 0;
+  }
+
+  /**
+   * 停止排程並捨棄尚未排入的事件
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.queue = [];
+  }
+
+  /**
+   * 更新參數；改變 BPM 時保持目前的拍子位置連續
+   */
+  set(params) {
+    if (params.bpm !== undefined && params.bpm !== this.params.bpm) {
+      const now = this.context.currentTime;
+      const beat = this.getBeatPosition(now);
+      this.params.bpm = Math.max(20, Math.min(300, params.bpm));
+      this.origin = now - beat * this.getBeatDuration();
+    }
+
+    if (params.swing !== undefined) {
+      this.params.swing = Math.max(0, Math.min(0.5, params.swing));
+    }
+    if (params.grid !== undefined && GRID_DIVISIONS[params.grid]) {
+      this.params.grid = params.grid;
+    }
+    if (params.strength !== undefined) {
+      this.params.strength = Math.max(0, Math.min(1, params.strength));
+    }
+    if (params.quantize !== undefined) {
+      this.params.quantize = Boolean(params.quantize);
+    }
+  }
+
+  getParams() {
+    return { ...this.params };
+  }
+
+  /**
+   * 一拍的長度 (秒)
+   */
+  getBeatDuration() {
+    return 60 / this.params.bpm;
+  }
+
+  /**
+   * 一格的長度 (秒)
+   */
+  getStepDuration() {
+    return GRID_DIVISIONS[this.params.grid] * this.getBeatDuration();
+  }
+
+  /**
+   * 指定時間位於第幾拍 (小數)
+   */
+  getBeatPosition(time) {
+    return (time - this.origin) / this.getBeatDuration();
+  }
+
+  /**
+   * 第 beat 拍 (可含小數) 的時間
+   */
+  getBeatTime(beat) {
+    return this.origin + beat * this.getBeatDuration();
+  }
+
+  /**
+   * 第 step 格的時間 (奇數格依 swing 延後)
+   */
+  getGridTime(step) {
+    const stepDuration = this.getStepDuration();
+    const isTriplet = this.params.grid.endsWith('T');
+    const swing = !isTriplet && step % 2 !== 0 ? this.params.swing * stepDuration : 0;
+    return this.origin + step * stepDuration + swing;
+  }
+
+  /**
+   * 量化觸發時間：移到下一個格線位置 (依強度只移動一部分)
+   * 未開啟量化時原樣回傳
+   * @param {number} time - 觸發時間 (AudioContext 時間)
+   * @returns {number} 實際播放時間 (不早於 time)
+   */
+  quantize(time) {
+    if (!this.params.quantize) return time;
+
+    // swing 會讓奇數格延後，從前一格開始找第一個還沒過 (或剛過) 的格線
+    let step = Math.floor((time - this.origin) / this.getStepDuration()) - 1;
+    while (this.getGridTime(step) < time - LATE_TOLERANCE) {
+      step++;
+    }
+
+    const target = Math.max(time, this.getGridTime(step));
+    return time + (target - time) * this.params.strength;
+  }
+
+  /**
+   * 在指定時間執行回呼：LOOKAHEAD 秒內的事件立即交給回呼，其他等排程器排入
+   * @param {number} time - AudioContext 時間
+   * @param {Function} callback - (time) => void，以 time 排程發聲
+   */
+  schedule(time, callback) {
+    if (time < this.context.currentTime + LOOKAHEAD) {
+      callback(time);
+      return;
+    }
+
+    const index = this.queue.findIndex(event => event.time > time);
+    this.queue.splice(index === -1 ? this.queue.length : index, 0, { time, callback });
+  }
+
+  /**
+   * 註冊週期性排程：listener(horizon) 需排入 horizon 之前的所有事件
+   */
+  addTickListener(listener) {
+    this.tickListeners.push(listener);
+  }
+
+  /**
+   * 排程器：交出接下來 LOOKAHEAD 秒內的事件
+   */
+  tick() {
+    const horizon = this.context.currentTime + LOOKAHEAD;
+    while (this.queue.length > 0 && this.queue[0].time < horizon) {
+      const event = this.queue.shift();
+      this.run(() => event.callback(event.time));
+    }
+    this.tickListeners.forEach(listener => this.run(() => listener(horizon)));
+  }
+
+  /**
+   * 執行一個排程回呼，出錯時只記錄，不影響其他回呼的排程
+   */
+  run(callback) {
+    try {
+      callback();
+    } catch (error) {
+      console.error('排程回呼錯誤:', error);
+    }
+  }
+}
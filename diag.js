@@ -29,7 +29,7 @@
   };
 
   const video = document.getElementById('webcam');
-  if (!video || !video.srcObject) {
+  if (!video || (!video.srcObject && !video.currentSrc)) {
     console.error('❌ 錯誤：攝影機尚未啟動，請先點擊 START');
     return;
   }
@@ -92,12 +92,17 @@
   const SAMPLE_FRAMES = 60;  // 收集 60 幀 (約 1 秒)
   const SAMPLE_INTERVAL = 100; // 每 100ms 取樣一次
   const cellStats = [];
+  const zones = detector.zones;
+
+  // 是否為均分 3x3 配置 (狀態圖與區域模式分析只適用於 3x3)
+  const isGridLayout = zones.length === 9 &&
+    zones.every(z => Math.abs(z.w - 1 / 3) < 0.01 && Math.abs(z.h - 1 / 3) < 0.01);
 
   // 初始化每個格子的統計資料
-  for (let i = 0; i < 9; i++) {
+  for (let i = 0; i < zones.length; i++) {
     cellStats.push({
       index: i,
-      label: ['HH', 'SNR', 'CYM', 'TM1', 'KCK', 'TM2', 'CLP', 'RID', 'SYN'][i],
+      label: zones[i].label,
       brightnessHistory: [],
       diffHistory: [],
       triggerCount: 0,
@@ -105,7 +110,7 @@
   }
 
   let frameCount = 0;
-  let previousBrightness = new Array(9).fill(null);
+  let previousBrightness = new Array(zones.length).fill(null);
 
   console.log(`⏳ 開始收集資料... (${SAMPLE_FRAMES} 幀，約 ${SAMPLE_FRAMES * SAMPLE_INTERVAL / 1000} 秒)`);
   console.log('👋 請在鏡頭前揮動手臂！');
@@ -127,7 +132,7 @@
       const imageData = diagCtx.getImageData(0, 0, detector.width, detector.height);
 
       // 分析每個格子
-      for (let i = 0; i < 9; i++) {
+      for (let i = 0; i < zones.length; i++) {
         const stats = getRegionStats(imageData, i, detector);
         cellStats[i].brightnessHistory.push(stats.avgBrightness);
 
@@ -158,14 +163,8 @@
   // 5. 分析區域統計資料
   // ============================================================
   function getRegionStats(imageData, cellIndex, detector) {
-    const col = cellIndex % 3;
-    const row = Math.floor(cellIndex / 3);
-
-    const cellW = Math.floor(detector.width / 3);
-    const cellH = Math.floor(detector.height / 3);
-
-    const startX = col * cellW;
-    const startY = row * cellH;
+    // 與偵測器使用相同的區域範圍
+    const { x: startX, y: startY, w: cellW, h: cellH } = detector.getCellBounds(cellIndex);
 
     const data = imageData.data;
     const width = imageData.width;
@@ -283,21 +282,27 @@
       }
     });
 
-    // 繪製格子狀態圖
+    // 繪製格子狀態圖 (自訂配置改為逐一列出)
     console.log('\n📊 格子狀態圖:');
-    console.log('┌────────┬────────┬────────┐');
-    for (let row = 0; row < 3; row++) {
-      const cells = summaries.slice(row * 3, row * 3 + 3);
-      const line = cells.map(c => {
-        const emoji = c.status.split(' ')[0];
-        return ` ${emoji} ${c.label} `.padEnd(8);
-      }).join('│');
-      console.log(`│${line}│`);
-      if (row < 2) {
-        console.log('├────────┼────────┼────────┤');
+    if (isGridLayout) {
+      console.log('┌────────┬────────┬────────┐');
+      for (let row = 0; row < 3; row++) {
+        const cells = summaries.slice(row * 3, row * 3 + 3);
+        const line = cells.map(c => {
+          const emoji = c.status.split(' ')[0];
+          return ` ${emoji} ${c.label} `.padEnd(8);
+        }).join('│');
+        console.log(`│${line}│`);
+        if (row < 2) {
+          console.log('├────────┼────────┼────────┤');
+        }
       }
+      console.log('└────────┴────────┴────────┘');
+    } else {
+      summaries.forEach(c => {
+        console.log(`  [${c.index}] ${c.label}: ${c.status}`);
+      });
     }
-    console.log('└────────┴────────┴────────┘');
 
     // 詳細數據表格
     console.log('\n📈 詳細數據:');
@@ -324,13 +329,13 @@
       const problemIndices = issues.map(i => i.index);
 
       // 模式 1: 右側區域問題 (2, 5, 8)
-      const rightSideIssue = [2, 5, 8].every(i => problemIndices.includes(i));
+      const rightSideIssue = isGridLayout && [2, 5, 8].every(i => problemIndices.includes(i));
 
       // 模式 2: 上方區域問題 (0, 1, 2)
-      const topSideIssue = [0, 1, 2].every(i => problemIndices.includes(i));
+      const topSideIssue = isGridLayout && [0, 1, 2].every(i => problemIndices.includes(i));
 
       // 模式 3: 右上區域問題 (1, 2, 5)
-      const topRightIssue = [1, 2, 5].every(i => problemIndices.includes(i));
+      const topRightIssue = isGridLayout && [1, 2, 5].every(i => problemIndices.includes(i));
 
       console.log('\n🔎 可能的原因:');
 
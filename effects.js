@@ -0,0 +1,151 @@
+/**
+ * Neon Motion Drum - 主效果鏈
+ * masterGain → 限制器 (DynamicsCompressor，永遠開啟) → destination
+ * 各鼓墊聲道以 send 送到殘響 / 延遲，效果回送 (return) 接回 masterGain，一起經過限制器
+ *
+ * - 殘響：ConvolverNode，脈衝響應 (impulse response) 以指數衰減的雜訊產生，不需要外部檔案
+ * - 延遲：DelayNode + 回授 (feedback)，回授路徑有低通濾波讓重複越來越暗；可依 BPM 同步拍值
+ * - 限制器：大動作同時觸發多個鼓墊 (Crash + Kick + Clap) 時避免爆音
+ */
+
+// 延遲同步的拍值 (以拍為單位)
+export const DELAY_DIVISIONS = {
+  '1/4': 1,
+  '1/8': 0.5,
+  '1/8.': 0.75,  // 附點八分音符
+  '1/8T': 1 / 3,  // 八分音符三連音
+  '1/16': 0.25
+};
+
+export const DEFAULT_EFFECTS = {
+  reverbDecay: 1.8,      // 殘響長度 (秒)
+  reverbLevel: 0.6,      // 殘響回送音量
+  delayTime: 0.3,        // 延遲時間 (秒，未同步時)
+  delaySync: false,      // 是否依 BPM 同步
+  delayDivision: '1/8',  // 同步拍值
+  bpm: 120,
+  delayFeedback: 0.35,
+  delayLevel: 0.5,       // 延遲回送音量
+  limiterThreshold: -6   // 限制器門檻 (dB)
+};
+
+// 延遲節點的最長延遲 (秒)
+const MAX_DELAY = 2;
+
+export class MasterEffects {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {AudioNode} destination - 效果鏈的最終輸出
+   */
+  constructor(context, destination) {
+    this.context = context;
+    this.params = { ...DEFAULT_EFFECTS };
+
+    // 限制器 (高比例、快速 attack 的壓縮器)
+    this.limiter = context.createDynamicsCompressor();
+    this.limiter.knee.value = 0;
+    this.limiter.ratio.value = 20;
+    this.limiter.attack.value = 0.003;
+    this.limiter.release.value = 0.25;
+    this.limiter.connect(destination);
+
+    // 殘響：send → convolver → return
+    this.reverbInput = context.createGain();
+    this.convolver = context.createConvolver();
+    this.reverbReturn = context.createGain();
+    this.reverbInput.connect(this.convolver);
+    this.convolver.connect(this.reverbReturn);
+
+    // 延遲：send → delay ⇄ (低通 → 回授) → return
+    this.delayInput = context.createGain();
+    this.delay = context.createDelay(MAX_DELAY);
+    this.delayTone = context.createBiquadFilter();
+    this.delayTone.type = 'lowpass';
+    this.delayTone.frequency.value = 4000;
+    this.delayFeedback = context.createGain();
+    this.delayReturn = context.createGain();
+    this.delayInput.connect(this.delay);
+    this.delay.connect(this.delayTone);
+    this.delayTone.connect(this.delayFeedback);
+    this.delayFeedback.connect(this.delay);
+    this.delay.connect(this.delayReturn);
+
+    this.set(this.params);
+  }
+
+  /**
+   * 主音量接到這裡 (限制器輸入)
+   */
+  get input() {
+    return this.limiter;
+  }
+
+  /**
+   * 將效果回送接到指定節點 (通常是 masterGain)
+   */
+  connectReturns(target) {
+    this.reverbReturn.connect(target);
+    this.delayReturn.connect(target);
+  }
+
+  /**
+   * 更新效果參數 (只需傳入要改的欄位)
+   */
+  set(params) {
+    const previousDecay = this.params.reverbDecay;
+    Object.keys(DEFAULT_EFFECTS).forEach(key => {
+      if (params[key] !== undefined) {
+        this.params[key] = params[key];
+      }
+    });
+
+    const p = this.params;
+    const now = this.context.currentTime;
+
+    // 殘響長度改變時才重新產生脈衝響應
+    if (!this.convolver.buffer || p.reverbDecay !== previousDecay) {
+      this.convolver.buffer = this.createImpulse(p.reverbDecay);
+    }
+
+    this.reverbReturn.gain.setTargetAtTime(p.reverbLevel, now, 0.02);
+    this.delay.delayTime.setTargetAtTime(this.getDelayTime(), now, 0.02);
+    this.delayFeedback.gain.setTargetAtTime(Math.min(0.9, p.delayFeedback), now, 0.02);
+    this.delayReturn.gain.setTargetAtTime(p.delayLevel, now, 0.02);
+    this.limiter.threshold.value = p.limiterThreshold;
+  }
+
+  getParams() {
+    return { ...this.params };
+  }
+
+  /**
+   * 實際延遲時間 (秒)：同步時依 BPM 與拍值計算
+   */
+  getDelayTime() {
+    const p = this.params;
+    const time = p.delaySync
+      ? (DELAY_DIVISIONS[p.delayDivision] ?? 0.5) * 60 / p.bpm
+      : p.delayTime;
+    return Math.max(0.01, Math.min(MAX_DELAY, time));
+  }
+
+  /**
+   * 產生殘響脈衝響應：左右聲道各自的雜訊 × 指數衰減
+   * @param {number} duration - 長度 (秒)
+   */
+  createImpulse(duration) {
+    const sampleRate = this.context.sampleRate;
+    const length = Math.max(1, Math.floor(sampleRate * duration));
+    const impulse = this.context.createBuffer(2, length, sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+      const data = impulse.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        // 衰減到尾端約 -60dB
+        data[i] = (Math.random() * 2 - 1) * Math.exp(-6.9 * i / length);
+      }
+    }
+
+    return impulse;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Neon Motion Drum - 效果面板
+ * 調整主效果鏈 (effects.js) 的殘響、延遲、限制器參數，修改即時生效並保存到設定
+ * 各鼓墊送到效果的量 (send) 在混音器調整
+ */
+
+import { DELAY_DIVISIONS } from './effects.js';
+import { getSetting, setSetting } from './settings.js';
+
+// 面板欄位：數值欄位為滑桿，options 欄位為選單，toggle 欄位為開關
+const FIELDS = [
+  { section: '殘響' },
+  { key: 'reverbDecay', label: '長度 (秒)', min: 0.2, max: 5, step: 0.1 },
+  { key: 'reverbLevel', label: '音量', min: 0, max: 1, step: 0.05 },
+  { section: '延遲' },
+  { key: 'delaySync', label: '同步節拍', toggle: true },  // BPM 在節拍面板設定
+  { key: 'delayDivision', label: '拍值', options: Object.keys(DELAY_DIVISIONS) },
+  { key: 'delayTime', label: '時間 (秒)', min: 0.02, max: 2, step: 0.01 },
+  { key: 'delayFeedback', label: '回授', min: 0, max: 0.9, step: 0.05 },
+  { key: 'delayLevel', label: '音量', min: 0, max: 1, step: 0.05 },
+  { section: '限制器' },
+  { key: 'limiterThreshold', label: '門檻 (dB)', min: -24, max: 0, step: 1 }
+];
+
+export class EffectsPanel {
+  /**
+   * @param {HTMLElement} container - 面板容器
+   * @param {SynthDrums} drums - 音效系統
+   */
+  constructor(container, drums) {
+    this.container = container;
+    this.drums = drums;
+
+    // 套用保存的效果設定
+    this.drums.setEffects(getSetting('effects', {}));
+    this.render();
+  }
+
+  /**
+   * 更新參數並保存
+   */
+  update(patch) {
+    this.drums.setEffects(patch);
+    setSetting('effects', this.drums.getEffects());
+  }
+
+  render() {
+    this.container.replaceChildren();
+
+    const title = document.createElement('h3');
+    title.textContent = '效果';
+    this.container.appendChild(title);
+
+    const params = this.drums.getEffects();
+
+    FIELDS.forEach(field => {
+      if (field.section) {
+        const heading = document.createElement('h4');
+        heading.textContent = field.section;
+        this.container.appendChild(heading);
+        return;
+      }
+
+      const row = document.createElement('div');
+      row.className = 'panel-row';
+
+      const label = document.createElement('label');
+      label.textContent = field.label;
+      row.appendChild(label);
+
+      row.appendChild(this.createControl(field, params[field.key]));
+      this.container.appendChild(row);
+    });
+  }
+
+  createControl(field, value) {
+    if (field.toggle) {
+      const button = document.createElement('button');
+      button.className = 'btn-small';
+      button.textContent = 'ON';
+      button.classList.toggle('active', value);
+      button.addEventListener('click', () => {
+        const enabled = !button.classList.contains('active');
+        button.classList.toggle('active', enabled);
+        this.update({ [field.key]: enabled });
+      });
+      return button;
+    }
+
+    if (field.options) {
+      const select = document.createElement('select');
+      field.options.forEach(optionValue => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionValue;
+        option.selected = optionValue === value;
+        select.appendChild(option);
+      });
+      select.addEventListener('change', () => this.update({ [field.key]: select.value }));
+      return select;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.step;
+    input.value = value;
+
+    const display = document.createElement('span');
+    display.className = 'panel-value';
+    display.textContent = value;
+
+    input.addEventListener('input', () => {
+      const number = parseFloat(input.value);
+      display.textContent = number;
+      this.update({ [field.key]: number });
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'panel-slider';
+    wrapper.append(input, display);
+    return wrapper;
+  }
+}
@@ -0,0 +1,404 @@
+/**
+ * Neon Motion Drum - 節奏遊戲面板
+ * 選擇內建或自己的 JSON 譜面、開始 / 停止；遊戲中在格子上顯示倒數圈與判定，
+ * 畫面上方顯示分數與連擊，曲子結束後顯示結算畫面
+ * 延遲補償與每首譜面的最佳分數 (以標題為 key) 保存到設定 (settings.js)
+ * 設定格式：{ latency (毫秒), best: { [title]: { score, rank } } }
+ */
+
+import { BUILTIN_CHARTS, JUDGE_WINDOWS, DEFAULT_LATENCY, loadChart, parseChart } from './game.js';
+import { getSetting, setSetting } from './settings.js';
+
+// 延遲補償滑桿範圍 (毫秒)
+const LATENCY_RANGE = { min: 0, max: 250, step: 5 };
+
+// 平均誤差超過此值 (秒) 時在結算畫面提供校正
+const CALIBRATE_THRESHOLD = 0.005;
+
+const JUDGEMENT_LABELS = {
+  perfect: 'PERFECT',
+  good: 'GOOD',
+  miss: 'MISS'
+};
+
+export class GamePanel {
+  /**
+   * @param {HTMLElement} container - 面板容器
+   * @param {RhythmGame} game - 節奏遊戲
+   * @param {Object} options
+   * @param {HTMLElement} options.overlay - 放分數列與結算畫面的容器
+   * @param {Function} options.getCells - 回傳目前的格子元素 (依鼓墊索引)
+   * @param {Function} options.onBeforeStart - (chart) 開始前呼叫 (切換配置、停止其他播放)
+   */
+  constructor(container, game, { overlay, getCells, onBeforeStart }) {
+    this.container = container;
+    this.game = game;
+    this.getCells = getCells;
+    this.onBeforeStart = onBeforeStart;
+
+    this.charts = [];
+    this.selected = 0;
+    this.error = null;
+
+    this.hud = document.createElement('div');
+    this.hud.id = 'game-hud';
+    this.hud.className = 'hud hidden';
+    overlay.appendChild(this.hud);
+
+    this.results = document.createElement('div');
+    this.results.id = 'game-results';
+    this.results.className = 'result-screen hidden';
+    overlay.appendChild(this.results);
+
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.accept = '.json,application/json';
+    this.fileInput.hidden = true;
+    this.fileInput.addEventListener('change', () => {
+      const file = this.fileInput.files[0];
+      this.fileInput.value = '';
+      if (file) {
+        this.loadFile(file);
+      }
+    });
+
+    this.game.onNote = (note, approach) => this.showNote(note, approach);
+    this.game.onJudge = (note, judgement) => this.showJudgement(note, judgement);
+    this.game.onEnd = (results) => this.showResults(results);
+
+    this.game.setLatency(this.getSettings().latency / 1000);
+    this.render();
+    this.loadBuiltins();
+  }
+
+  /**
+   * 讀取遊戲設定 (沒有保存過的欄位用預設值)
+   */
+  getSettings() {
+    const saved = getSetting('game', {});
+    return {
+      latency: Number.isFinite(saved.latency) ? saved.latency : DEFAULT_LATENCY * 1000,
+      best: saved.best || {}
+    };
+  }
+
+  saveSettings(patch) {
+    setSetting('game', { ...this.getSettings(), ...patch });
+  }
+
+  /**
+   * 設定延遲補償 (毫秒) 並保存
+   */
+  setLatency(ms) {
+    const latency = Math.round(Math.max(LATENCY_RANGE.min, Math.min(LATENCY_RANGE.max, ms)));
+    this.game.setLatency(latency / 1000);
+    this.saveSettings({ latency });
+  }
+
+  /**
+   * 載入內建譜面 (載入失敗的略過)
+   */
+  async loadBuiltins() {
+    const loaded = await Promise.allSettled(BUILTIN_CHARTS.map(url => loadChart(url)));
+    const charts = [];
+    loaded.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        charts.push(result.value);
+      } else {
+        console.warn(`內建譜面載入失敗: ${BUILTIN_CHARTS[index]}`, result.reason);
+      }
+    });
+
+    // 內建譜面排在前面 (期間已載入的自訂譜面接在後面)
+    const custom = this.charts;
+    this.charts = [...charts, ...custom];
+    if (custom.length > 0) {
+      this.selected += charts.length;
+    }
+    this.render();
+  }
+
+  /**
+   * 加入譜面並選取
+   */
+  addChart(chart) {
+    this.charts.push(chart);
+    this.selected = this.charts.length - 1;
+    this.error = null;
+    this.render();
+  }
+
+  async loadFile(file) {
+    try {
+      this.addChart(parseChart(await file.text()));
+    } catch (error) {
+      console.error('譜面讀取失敗:', error);
+      this.error = `無法讀取譜面：${file.name}`;
+      this.render();
+    }
+  }
+
+  start() {
+    const chart = this.charts[this.selected];
+    if (!chart) return;
+
+    this.results.classList.add('hidden');
+    this.clearCells();
+    if (this.onBeforeStart) {
+      this.onBeforeStart(chart);
+    }
+    this.game.start(chart, this.getCells().length);
+
+    this.hud.classList.remove('hidden');
+    this.updateHud();
+    this.render();
+  }
+
+  stop() {
+    this.game.stop();
+    this.clearCells();
+    this.hud.classList.add('hidden');
+    this.render();
+  }
+
+  /**
+   * 移除格子上的倒數圈與判定文字
+   */
+  clearCells() {
+    this.getCells().forEach(cell => {
+      cell.querySelectorAll('.game-note, .game-judgement').forEach(element => element.remove());
+    });
+  }
+
+  /**
+   * 倒數圈：從外面縮小，在目標時間剛好貼齊格子邊框
+   */
+  showNote(note, approach) {
+    const cell = this.getCells()[note.pad];
+    if (!cell) return;
+
+    const ring = document.createElement('div');
+    ring.className = 'game-note';
+    ring.style.animationDuration = `${approach}s`;
+    ring.style.animationDelay = `${note.time - approach - this.game.context.currentTime}s`;
+    cell.appendChild(ring);
+    note.element = ring;
+  }
+
+  showJudgement(note, judgement) {
+    if (note.element) {
+      note.element.remove();
+      note.element = null;
+    }
+
+    const cell = this.getCells()[note.pad];
+    if (cell) {
+      const label = document.createElement('span');
+      label.className = `game-judgement ${judgement}`;
+      label.textContent = JUDGEMENT_LABELS[judgement];
+      label.addEventListener('animationend', () => label.remove(), { once: true });
+      cell.appendChild(label);
+    }
+
+    this.updateHud();
+  }
+
+  updateHud() {
+    const score = document.createElement('div');
+    score.className = 'game-score';
+    score.textContent = this.game.score.toLocaleString();
+
+    const combo = document.createElement('div');
+    combo.className = 'game-combo';
+    combo.textContent = this.game.combo >= 2 ? `${this.game.combo} COMBO` : '';
+
+    this.hud.replaceChildren(score, combo);
+  }
+
+  /**
+   * 結算畫面 (刷新最佳分數時一併保存)
+   */
+  showResults(results) {
+    this.clearCells();
+    this.hud.classList.add('hidden');
+
+    const { best } = this.getSettings();
+    const previous = best[results.title];
+    const isRecord = !previous || results.score > previous.score;
+    if (isRecord) {
+      best[results.title] = { score: results.score, rank: results.rank };
+      this.saveSettings({ best });
+    }
+
+    this.results.replaceChildren();
+
+    const rank = document.createElement('div');
+    rank.className = `game-rank rank-${results.rank}`;
+    rank.textContent = results.rank;
+
+    const title = document.createElement('h2');
+    title.textContent = results.title;
+
+    const table = document.createElement('table');
+    [
+      ['Perfect', results.perfect],
+      ['Good', results.good],
+      ['Miss', results.miss],
+      ['最大連擊', `${results.maxCombo} / ${results.total}`],
+      ['準確率', `${(results.accuracy * 100).toFixed(1)}%`],
+      ['平均誤差', results.averageError === null ? '-' : `${results.averageError >= 0 ? '+' : ''}${Math.round(results.averageError * 1000)}ms`],
+      ['分數', `${results.score.toLocaleString()}${isRecord ? ' (新紀錄)' : ''}`]
+    ].forEach(([label, value]) => {
+      const row = table.insertRow();
+      row.insertCell().textContent = label;
+      row.insertCell().textContent = value;
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'panel-row';
+    actions.append(
+      this.createButton('再玩一次', () => this.start()),
+      this.createButton('關閉', () => this.results.classList.add('hidden'))
+    );
+
+    // 平均偏早 / 偏晚：把平均誤差加進延遲補償
+    if (results.averageError !== null && Math.abs(results.averageError) >= CALIBRATE_THRESHOLD) {
+      const calibrateBtn = this.createButton('套用校正', () => {
+        this.setLatency(this.game.latency * 1000 + results.averageError * 1000);
+        calibrateBtn.disabled = true;
+        this.render();
+      });
+      calibrateBtn.title = '依這次的平均誤差調整延遲補償';
+      actions.appendChild(calibrateBtn);
+    }
+
+    this.results.append(rank, title, table, actions);
+    this.results.classList.remove('hidden');
+    this.render();
+  }
+
+  render() {
+    this.container.replaceChildren();
+
+    const title = document.createElement('h3');
+    title.textContent = '節奏遊戲';
+    this.container.appendChild(title);
+
+    const select = document.createElement('select');
+    this.charts.forEach((chart, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = chart.title;
+      option.selected = index === this.selected;
+      select.appendChild(option);
+    });
+    select.disabled = this.game.isPlaying || this.charts.length === 0;
+    select.addEventListener('change', () => {
+      this.selected = parseInt(select.value);
+      this.render();
+    });
+    this.container.appendChild(this.createRow('譜面', select));
+
+    const playBtn = this.createButton(this.game.isPlaying ? '■ 停止' : '▶ 開始', () => {
+      if (this.game.isPlaying) {
+        this.stop();
+      } else {
+        this.start();
+      }
+    });
+    playBtn.classList.toggle('active', this.game.isPlaying);
+    playBtn.disabled = this.charts.length === 0;
+
+    const loadBtn = this.createButton('開檔', () => this.fileInput.click());
+    loadBtn.title = '讀取 JSON 譜面';
+    loadBtn.disabled = this.game.isPlaying;
+
+    const actions = document.createElement('div');
+    actions.className = 'panel-row';
+    actions.append(playBtn, loadBtn, this.fileInput);
+    this.container.appendChild(actions);
+
+    const chart = this.charts[this.selected];
+    if (chart) {
+      const best = this.getSettings().best[chart.title];
+      const info = [`BPM ${chart.bpm}`, `${chart.notes.length} 個音符`];
+      if (best) {
+        info.push(`最佳 ${best.score.toLocaleString()} (${best.rank})`);
+      }
+      this.container.appendChild(this.createNote(info.join(' · ')));
+    }
+    if (this.error) {
+      this.container.appendChild(this.createNote(this.error));
+    }
+
+    this.container.appendChild(this.createRow('延遲補償', this.createLatencySlider()));
+
+    this.container.appendChild(this.createNote(
+      `倒數圈貼齊格子時打下去：誤差 ±${JUDGE_WINDOWS.perfect * 1000}ms 內為 Perfect、` +
+      `±${JUDGE_WINDOWS.good * 1000}ms 內為 Good，錯過為 Miss`
+    ));
+  }
+
+  /**
+   * 延遲補償滑桿 (毫秒)
+   */
+  createLatencySlider() {
+    const value = Math.round(this.game.latency * 1000);
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = LATENCY_RANGE.min;
+    input.max = LATENCY_RANGE.max;
+    input.step = LATENCY_RANGE.step;
+    input.value = value;
+    input.disabled = this.game.isPlaying;
+    input.title = '偵測與聲音的延遲，判定前從觸發時間扣掉';
+
+    const display = document.createElement('span');
+    display.className = 'panel-value';
+    display.textContent = `${value}ms`;
+
+    input.addEventListener('input', () => {
+      display.textContent = `${input.value}ms`;
+      this.setLatency(parseFloat(input.value));
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'panel-slider';
+    wrapper.append(input, display);
+    return wrapper;
+  }
+
+  /**
+   * 離開時移除遊戲畫面元素
+   */
+  dispose() {
+    this.game.stop();
+    this.clearCells();
+    this.hud.remove();
+    this.results.remove();
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn-small';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  createRow(labelText, control) {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    row.append(label, control);
+    return row;
+  }
+
+  createNote(text) {
+    const note = document.createElement('p');
+    note.className = 'panel-note';
+    note.textContent = text;
+    return note;
+  }
+}
@@ -0,0 +1,306 @@
+/**
+ * Neon Motion Drum - 節奏遊戲
+ * 依譜面 (chart) 在指定的拍子打指定的鼓墊：每個觸發與目標時間比對，判定 Perfect / Good / Miss
+ * 記錄分數、連擊 (combo) 與最大連擊，曲子結束後交出結算結果
+ *
+ * 譜面以自己的 BPM 計時 (不受節拍面板影響)，開始前有預備小節，每一拍送出引導拍 (onBeat)
+ * 判定使用觸發發生的時間 (量化前)，量化只影響發聲
+ * 偵測到動作時已經過了攝影機擷取、畫面與偵測頻率的延遲，再加上聲音輸出延遲 (常見 50-150ms)，
+ * 判定前先扣掉延遲補償 (latency)，結算的平均誤差可用來校正
+ *
+ * 譜面 (chart) 格式：
+ * {
+ *   title: 'First Steps',
+ *   bpm: 90,
+ *   layout: 'grid',      // (可選) 譜面使用的鼓墊配置，開始時自動切換
+ *   beatsPerBar: 4,      // (可選) 每小節拍數，預設 4
+ *   countIn: 1,          // (可選) 預備小節數，預設 1
+ *   notes: [{ beat, pad }]
+ * }
+ * - beat: 第幾拍 (從 0 開始，可為小數，例如 0.5 為第一拍的八分音符反拍)
+ * - pad: 鼓墊索引 (依配置的區域順序)
+ */
+
+// 判定範圍 (秒)：與目標時間的誤差在範圍內
+export const JUDGE_WINDOWS = {
+  perfect: 0.05,
+  good: 0.12
+};
+
+// 預設的延遲補償 (秒)
+export const DEFAULT_LATENCY = 0.08;
+
+// 內建譜面
+export const BUILTIN_CHARTS = [
+  'charts/first-steps.json',
+  'charts/backbeat.json',
+  'charts/around-the-kit.json'
+];
+
+// 每個判定的基本分數 (連擊加成另計)
+const SCORES = {
+  perfect: 300,
+  good: 100,
+  miss: 0
+};
+
+// 評等：準確率門檻 (由高到低)
+const RANKS = [
+  ['S', 0.95],
+  ['A', 0.85],
+  ['B', 0.7],
+  ['C', 0.5],
+  ['D', 0]
+];
+
+// 音符提早出現的拍數 (格子上的倒數圈)
+const APPROACH_BEATS = 2;
+
+// 開始前預留的時間 (秒)
+const START_DELAY = 0.1;
+
+// 最後一個音符之後到結算的時間 (秒)
+const END_DELAY = 1;
+
+/**
+ * 讀取 JSON 譜面，格式不符時拋出錯誤
+ * @param {string} text
+ * @returns {Object} 譜面 (notes 依拍子排序)
+ */
+export function parseChart(text) {
+  const chart = JSON.parse(text);
+  if (!chart || !(chart.bpm > 0) || !Array.isArray(chart.notes)) {
+    throw new Error('不是有效的譜面');
+  }
+
+  const notes = chart.notes
+    .filter(note => Number.isFinite(note.beat) && note.beat >= 0 && Number.isInteger(note.pad) && note.pad >= 0)
+    .map(note => ({ beat: note.beat, pad: note.pad }))
+    .sort((a, b) => a.beat - b.beat);
+  if (notes.length === 0) {
+    throw new Error('譜面沒有音符');
+  }
+
+  return {
+    title: chart.title || '未命名',
+    bpm: chart.bpm,
+    layout: chart.layout || null,
+    beatsPerBar: Number.isInteger(chart.beatsPerBar) && chart.beatsPerBar > 0 ? chart.beatsPerBar : 4,
+    countIn: Number.isInteger(chart.countIn) && chart.countIn >= 0 ? chart.countIn : 1,
+    notes
+  };
+}
+
+/**
+ * 下載並讀取譜面
+ */
+export async function loadChart(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`譜面載入失敗: ${response.status} ${url}`);
+  }
+  return parseChart(await response.text());
+}
+
+/**
+ * 準確率 → 評等
+ */
+export function getRank(accuracy) {
+  return RANKS.find(([, threshold]) => accuracy >= threshold)[0];
+}
+
+export class RhythmGame {
+  /**
+   * @param {TempoClock} clock - 提供 lookahead 排程器
+   */
+  constructor(clock) {
+    this.context = clock.context;
+
+    this.chart = null;
+    this.notes = [];        // [{ beat, pad, time, shown, judgement, error }]
+    this.isPlaying = false;
+    this.startTime = 0;     // 第 0 拍的 AudioContext 時間
+    this.beatDuration = 0.5;
+    this.nextBeat = 0;      // 下一個引導拍 (預備拍為負數)
+    this.lastBeat = 0;
+    this.endTime = 0;
+    this.latency = DEFAULT_LATENCY;  // 判定前從觸發時間扣掉的延遲 (秒)
+    this.resetStats();
+
+    this.onBeat = null;     // ({ time, beat, bar, type, countIn }) 引導拍
+    this.onNote = null;     // (note, approach) 音符進入倒數 (approach 秒後為目標時間)
+    this.onJudge = null;    // (note, judgement, error) 判定結果
+    this.onEnd = null;      // (results) 曲子結束
+
+    clock.addTickListener((horizon) => this.scheduleTick(horizon));
+  }
+
+  resetStats() {
+    this.score = 0;
+    this.combo = 0;
+    this.maxCombo = 0;
+    this.counts = { perfect: 0, good: 0, miss: 0 };
+  }
+
+  /**
+   * 開始一首譜面
+   * @param {Object} chart - parseChart 的結果
+   * @param {number} padCount - 目前配置的鼓墊數 (超出的音符略過)
+   */
+  start(chart, padCount = Infinity) {
+    this.chart = chart;
+    this.beatDuration = 60 / chart.bpm;
+
+    const countInBeats = chart.countIn * chart.beatsPerBar;
+    this.startTime = this.context.currentTime + START_DELAY + countInBeats * this.beatDuration;
+    this.notes = chart.notes
+      .filter(note => note.pad < padCount)
+      .map(note => ({
+        ...note,
+        time: this.startTime + note.beat * this.beatDuration,
+        shown: false,
+        judgement: null,
+        error: null
+      }));
+
+    const last = this.notes.length > 0 ? this.notes[this.notes.length - 1] : { beat: 0, time: this.startTime };
+    this.nextBeat = -countInBeats;
+    this.lastBeat = Math.floor(last.beat);
+    this.endTime = last.time + JUDGE_WINDOWS.good + this.latency + END_DELAY;
+
+    this.resetStats();
+    this.isPlaying = true;
+  }
+
+  /**
+   * 設定延遲補償 (秒)
+   */
+  setLatency(seconds) {
+    this.latency = Math.max(0, seconds);
+  }
+
+  /**
+   * 中途停止 (不結算)
+   */
+  stop() {
+    this.isPlaying = false;
+  }
+
+  /**
+   * 判定一次觸發：扣掉延遲補償後，找出同一鼓墊、還沒判定、誤差最小的音符
+   * 判定範圍內沒有音符時不計分，也不中斷連擊
+   * @param {number} pad - 鼓墊索引
+   * @param {number} detectedTime - 偵測到觸發的時間 (AudioContext 時間)
+   * @returns {string|null} 'perfect' | 'good'，沒有對應的音符時為 null
+   */
+  judgeHit(pad, detectedTime) {
+    if (!this.isPlaying) return null;
+
+    const time = detectedTime - this.latency;
+
+    let target = null;
+    this.notes.forEach(note => {
+      if (note.judgement || note.pad !== pad) return;
+      const error = Math.abs(time - note.time);
+      if (error <= JUDGE_WINDOWS.good && (!target || error < Math.abs(time - target.time))) {
+        target = note;
+      }
+    });
+    if (!target) return null;
+
+    const error = time - target.time;
+    const judgement = Math.abs(error) <= JUDGE_WINDOWS.perfect ? 'perfect' : 'good';
+    this.judge(target, judgement, error);
+    return judgement;
+  }
+
+  /**
+   * 記錄判定：Miss 中斷連擊，連擊每 10 次加成 25% (最多 2 倍)
+   */
+  judge(note, judgement, error) {
+    note.judgement = judgement;
+    note.error = error;
+    this.counts[judgement]++;
+
+    if (judgement === 'miss') {
+      this.combo = 0;
+    } else {
+      this.combo++;
+      this.maxCombo = Math.max(this.maxCombo, this.combo);
+    }
+    this.score += Math.round(SCORES[judgement] * (1 + Math.min(Math.floor(this.combo / 10), 4) * 0.25));
+
+    if (this.onJudge) {
+      this.onJudge(note, judgement, error);
+    }
+  }
+
+  /**
+   * 排程器回呼：排入引導拍、讓即將到來的音符進入倒數、判定錯過的音符為 Miss，全部結束後結算
+   */
+  scheduleTick(horizon) {
+    if (!this.isPlaying) return;
+
+    const now = this.context.currentTime;
+    const beatsPerBar = this.chart.beatsPerBar;
+
+    while (this.nextBeat <= this.lastBeat) {
+      const time = this.startTime + this.nextBeat * this.beatDuration;
+      if (time >= horizon) break;
+
+      if (time >= now && this.onBeat) {
+        const position = ((this.nextBeat % beatsPerBar) + beatsPerBar) % beatsPerBar;
+        this.onBeat({
+          time,
+          beat: position,
+          bar: Math.floor(this.nextBeat / beatsPerBar),
+          type: position === 0 ? 'downbeat' : 'beat',
+          countIn: this.nextBeat < 0
+        });
+      }
+      this.nextBeat++;
+    }
+
+    const approach = APPROACH_BEATS * this.beatDuration;
+    this.notes.forEach(note => {
+      if (!note.shown && note.time - approach < horizon) {
+        note.shown = true;
+        if (this.onNote) {
+          this.onNote(note, approach);
+        }
+      }
+      // 延遲補償內的觸發還沒被偵測到，等補償過後才判定 Miss
+      if (!note.judgement && now > note.time + JUDGE_WINDOWS.good + this.latency) {
+        this.judge(note, 'miss', null);
+      }
+    });
+
+    if (now >= this.endTime) {
+      this.isPlaying = false;
+      if (this.onEnd) {
+        this.onEnd(this.getResults());
+      }
+    }
+  }
+
+  /**
+   * 結算結果 (準確率：Perfect 算 1、Good 算 0.5)
+   * averageError 為打中音符的平均誤差 (秒，正值 = 偏晚)，沒有打中任何音符時為 null
+   */
+  getResults() {
+    const total = this.notes.length;
+    const accuracy = total > 0 ? (this.counts.perfect + this.counts.good * 0.5) / total : 0;
+    const errors = this.notes.filter(note => note.error !== null).map(note => note.error);
+
+    return {
+      title: this.chart.title,
+      total,
+      ...this.counts,
+      maxCombo: this.maxCombo,
+      score: this.score,
+      accuracy,
+      averageError: errors.length > 0 ? errors.reduce((sum, error) => sum + error, 0) / errors.length : null,
+      rank: getRank(accuracy)
+    };
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Neon Motion Drum - Loop 面板
+ * 設定 loop 長度、錄製新的一層 (overdub)、復原、清除，以及每一層的靜音
+ */
+
+import { LOOP_BARS } from './looper.js';
+
+export class LooperPanel {
+  /**
+   * @param {HTMLElement} container - 面板容器
+   * @param {LoopStation} looper - Loop 工作站
+   */
+  constructor(container, looper) {
+    this.container = container;
+    this.looper = looper;
+
+    this.looper.onChange = () => this.render();
+    this.render();
+  }
+
+  render() {
+    this.container.replaceChildren();
+
+    const title = document.createElement('h3');
+    title.textContent = 'Loop';
+    this.container.appendChild(title);
+
+    // loop 長度 (已有層時不能改)
+    const barsSelect = document.createElement('select');
+    LOOP_BARS.forEach(bars => {
+      const option = document.createElement('option');
+      option.value = bars;
+      option.textContent = `${bars} 小節`;
+      option.selected = bars === this.looper.bars;
+      barsSelect.appendChild(option);
+    });
+    barsSelect.disabled = this.looper.layers.length > 0;
+    barsSelect.addEventListener('change', () => this.looper.setBars(parseInt(barsSelect.value)));
+    this.container.appendChild(this.createRow('長度', barsSelect));
+
+    const recordBtn = this.createButton(this.looper.layers.length === 0 ? '錄製' : '疊加一層', () => this.looper.record());
+    recordBtn.classList.toggle('active', Boolean(this.looper.recording));
+    const undoBtn = this.createButton('復原', () => this.looper.undo());
+    undoBtn.disabled = this.looper.layers.length === 0;
+    const clearBtn = this.createButton('清除', () => this.looper.clear());
+    clearBtn.disabled = this.looper.layers.length === 0;
+
+    const actions = document.createElement('div');
+    actions.className = 'panel-row';
+    actions.append(recordBtn, undoBtn, clearBtn);
+    this.container.appendChild(actions);
+
+    this.container.appendChild(this.createNote(this.getStatusText()));
+
+    // 各層 (M = 靜音)
+    if (this.looper.layers.length > 0) {
+      const heading = document.createElement('h4');
+      heading.textContent = '層';
+      this.container.appendChild(heading);
+    }
+
+    this.looper.layers.forEach((layer, index) => {
+      const isRecording = this.looper.recording && this.looper.recording.layer === layer;
+      const label = document.createElement('span');
+      label.className = 'mixer-label';
+      label.textContent = `${index + 1}. ${layer.events.length} 個觸發${isRecording ? ' (錄製中)' : ''}`;
+
+      const muteBtn = this.createButton('M', () => this.looper.setMuted(index, !layer.muted));
+      muteBtn.classList.toggle('active', layer.muted);
+      muteBtn.title = '靜音';
+
+      const row = document.createElement('div');
+      row.className = 'panel-row';
+      row.append(label, muteBtn);
+      this.container.appendChild(row);
+    });
+  }
+
+  getStatusText() {
+    if (this.looper.recording) {
+      return '錄製中：錄滿一輪後自動開始循環';
+    }
+    if (this.looper.isRunning) {
+      return `循環播放中 (${this.looper.layers.length} 層)`;
+    }
+    return '按「錄製」開始第一層 (節拍器開著時從下一個小節開始)';
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn-small';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  createRow(labelText, control) {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    row.append(label, control);
+    return row;
+  }
+
+  createNote(text) {
+    const note = document.createElement('p');
+    note.className = 'panel-note';
+    note.textContent = text;
+    return note;
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Neon Motion Drum - Loop 工作站
+ * 設定 loop 長度 (小節)，錄一輪觸發後不斷循環播放，可以在上面一層一層疊加 (overdub)
+ * 每一層可靜音，可復原最後一層或全部清除；循環播放時動態格子照常即時觸發
+ *
+ * 觸發以節拍時鐘 (clock.js) 的「拍」記錄位置，BPM 改變時 loop 跟著變快 / 變慢
+ * 一小節的拍數依節拍器的拍號；節拍器開著時 loop 從下一個小節 (或預備拍結束) 開始，
+ * 格線正被其他功能使用 (音序器播放中) 時從時鐘的下一個小節開始
+ *
+ * 層 (layer) 格式：{ events: [{ beat, pad, sound, velocity, frequency }], muted, activeFrom }
+ * - beat: 在 loop 中的位置 (拍，0 ~ loop 長度)
+ * - activeFrom: 錄製結束的拍子位置，之前的部分正由演奏者即時打出，不重複播放
+ */
+
+export const LOOP_BARS = [1, 2, 4, 8];
+
+// loop 開始前預留的時間 (秒)
+const START_DELAY = 0.05;
+
+export class LoopStation {
+  /**
+   * @param {TempoClock} clock - 節拍時鐘 (拍子位置與排程器)
+   * @param {Metronome} metronome - 節拍器 (拍號、小節位置)
+   */
+  constructor(clock, metronome) {
+    this.clock = clock;
+    this.metronome = metronome;
+
+    this.bars = 2;
+    this.layers = [];
+    this.isRunning = false;
+    this.startBeat = 0;      // loop 第一輪開始的拍子位置
+    this.loopBeats = 0;      // loop 長度 (拍)
+    this.scheduledBeat = 0;  // 已經排程到的拍子位置
+
+    // 錄製中的層 (錄滿一輪後自動結束)
+    this.recording = null;   // { layer, startBeat, endBeat }
+
+    this.onEvent = null;     // (event, time) 以 time (AudioContext 時間) 播放 loop 中的觸發
+    this.onChange = null;    // 層或錄製狀態改變 (更新面板)
+
+    clock.addTickListener((horizon) => this.scheduleEvents(horizon));
+  }
+
+  /**
+   * 設定 loop 長度 (只在還沒有任何層時可改)
+   */
+  setBars(bars) {
+    if (this.layers.length > 0) return false;
+    this.bars = bars;
+    return true;
+  }
+
+  /**
+   * 目前的拍子位置
+   */
+  getCurrentBeat() {
+    return this.clock.getBeatPosition(this.clock.context.currentTime);
+  }
+
+  /**
+   * 錄一輪新的層：第一層同時開始 loop，之後的層從現在開始錄滿一輪 (overdub)
+   */
+  record() {
+    if (this.recording) return;
+
+    const now = this.getCurrentBeat();
+    let startBeat = now;
+
+    if (!this.isRunning) {
+      const beatsPerBar = this.metronome.getBeatsPerBar();
+      this.loopBeats = this.bars * beatsPerBar;
+
+      if (this.metronome.isRunning) {
+        // 對齊節拍器：從下一個小節 (或預備拍結束) 開始
+        const countInEnd = this.clock.getBeatPosition(this.metronome.getCountInEnd());
+        startBeat = Math.max(countInEnd, Math.ceil(now / beatsPerBar - 0.01) * beatsPerBar);
+      } else if (this.clock.isLocked()) {
+        // 格線正被使用 (例如音序器播放中)：從時鐘的下一個小節開始
+        const time = this.clock.context.currentTime + START_DELAY;
+        startBeat = Math.ceil(this.clock.getBeatPosition(time) / beatsPerBar) * beatsPerBar;
+      } else {
+        // 沒有節拍器：以現在為第 0 拍 (量化格線一併對齊)
+        this.clock.start(this.clock.context.currentTime + START_DELAY);
+        startBeat = 0;
+      }
+
+      this.startBeat = startBeat;
+      this.scheduledBeat = startBeat;
+      this.isRunning = true;
+      this.clock.lock(this);
+    }
+
+    const layer = { events: [], muted: false, activeFrom: startBeat + this.loopBeats };
+    this.layers.push(layer);
+    this.recording = { layer, startBeat, endBeat: startBeat + this.loopBeats };
+    this.notifyChange();
+  }
+
+  /**
+   * 記下即時觸發 (只在錄製的那一輪內)
+   * @param {Object} hit - { pad, sound, velocity, frequency }
+   * @param {number} time - 發聲時間 (AudioContext 時間)
+   */
+  recordHit(hit, time) {
+    if (!this.recording) return;
+
+    const beat = this.clock.getBeatPosition(time);
+    if (beat < this.recording.startBeat || beat >= this.recording.endBeat) return;
+
+    this.recording.layer.events.push({
+      beat: this.wrapBeat(beat),
+      pad: hit.pad,
+      sound: hit.sound,
+      velocity: hit.velocity,
+      frequency: hit.frequency ?? null
+    });
+    this.notifyChange();
+  }
+
+  /**
+   * 拍子位置 → loop 中的位置
+   */
+  wrapBeat(beat) {
+    const position = (beat - this.startBeat) % this.loopBeats;
+    return position < 0 ? position + this.loopBeats : position;
+  }
+
+  /**
+   * 錄製的進度 (0-1)，沒有錄製時為 null
+   */
+  getRecordProgress() {
+    if (!this.recording) return null;
+    const progress = (this.getCurrentBeat() - this.recording.startBeat) / this.loopBeats;
+    return Math.max(0, Math.min(1, progress));
+  }
+
+  setMuted(index, muted) {
+    if (this.layers[index]) {
+      this.layers[index].muted = muted;
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * 復原最後一層 (錄製中的層會直接捨棄)；沒有層時停止 loop
+   */
+  undo() {
+    const layer = this.layers.pop();
+    if (this.recording && this.recording.layer === layer) {
+      this.recording = null;
+    }
+    if (this.layers.length === 0) {
+      this.stop();
+    }
+    this.notifyChange();
+  }
+
+  /**
+   * 清除所有層並停止 loop
+   */
+  clear() {
+    this.layers = [];
+    this.recording = null;
+    this.stop();
+    this.notifyChange();
+  }
+
+  /**
+   * 停止 loop (解開時鐘格線)
+   */
+  stop() {
+    this.isRunning = false;
+    this.clock.unlock(this);
+  }
+
+  /**
+   * 排程器回呼：排入 horizon 之前所有未靜音層的觸發
+   */
+  scheduleEvents(horizon) {
+    if (!this.isRunning) return;
+
+    // 錄滿一輪：結束錄製
+    if (this.recording && this.getCurrentBeat() >= this.recording.endBeat) {
+      this.recording = null;
+      this.notifyChange();
+    }
+
+    const fromBeat = this.scheduledBeat;
+    const toBeat = this.clock.getBeatPosition(horizon);
+    if (toBeat <= fromBeat) return;
+
+    const firstCycle = Math.floor((fromBeat - this.startBeat) / this.loopBeats);
+    const lastCycle = Math.floor((toBeat - this.startBeat) / this.loopBeats);
+
+    this.layers.forEach(layer => {
+      if (layer.muted) return;
+
+      for (let cycle = firstCycle; cycle <= lastCycle; cycle++) {
+        const cycleStart = this.startBeat + cycle * this.loopBeats;
+        layer.events.forEach(event => {
+          const beat = cycleStart + event.beat;
+          if (beat >= fromBeat && beat < toBeat && beat >= layer.activeFrom && this.onEvent) {
+            this.onEvent(event, this.clock.getBeatTime(beat));
+          }
+        });
+      }
+    });
+
+    this.scheduledBeat = toBeat;
+  }
+
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Neon Motion Drum - 旋律模式面板
+ * 讓部分或全部鼓墊改播指定調性、音階的音，把動態格子當成空氣鍵盤 (貝斯線、琶音)
+ *
+ * 設定：{ mode, key, scale, octave, voice }
+ * - mode: 'off' 關閉 / 'all' 全部鼓墊 / 'synth' 只有音色為 synth 的鼓墊 (可用音色編輯器指定)
+ * - key: 主音 (0 = C ... 11 = B)；scale: 音階 (scales.js)；octave: 主音所在八度
+ * - voice: 旋律音色 (voices.js 的 MELODIC_VOICES)
+ */
+
+import { NOTE_NAMES, SCALES, getScaleNote } from './scales.js';
+import { MELODIC_VOICES } from './voices.js';
+import { getSetting, setSetting } from './settings.js';
+
+export const MELODY_MODES = {
+  off: '關閉',
+  all: '全部鼓墊',
+  synth: '只有 Synth 格'
+};
+
+const DEFAULT_MELODY = {
+  mode: 'off',
+  key: 0,
+  scale: 'major',
+  octave: 3,
+  voice: 'synth'
+};
+
+/**
+ * 依設定計算每個鼓墊的 MIDI 音符 (不播旋律的鼓墊為 null)
+ * 鍵盤順序：由下往上、由左往右 (左下角最低音)
+ * @param {Array<Object>} zones - 鼓墊區域
+ * @param {Object} melody - 旋律設定
+ * @returns {Array<number|null>}
+ */
+export function getPadNotes(zones, melody) {
+  const notes = zones.map(() => null);
+  if (melody.mode === 'off') return notes;
+
+  const eligible = zones
+    .map((zone, index) => ({ zone, index }))
+    .filter(({ zone }) => melody.mode === 'all' || zone.sound === 'synth');
+
+  // 以中心點排序：先比列 (中心 y 取到 0.1，下方優先)，同列由左到右
+  const row = zone => Math.round((zone.y + zone.h / 2) * 10);
+  eligible.sort((a, b) => (row(b.zone) - row(a.zone)) || ((a.zone.x + a.zone.w / 2) - (b.zone.x + b.zone.w / 2)));
+
+  eligible.forEach(({ index }, degree) => {
+    notes[index] = getScaleNote(degree, melody);
+  });
+  return notes;
+}
+
+export class MelodyPanel {
+  /**
+   * @param {HTMLElement} container - 面板容器
+   * @param {Object} options
+   * @param {Function} options.onChange - 設定改變時呼叫 (melody)
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onChange = options.onChange || null;
+    this.melody = { ...DEFAULT_MELODY, ...getSetting('melody', {}) };
+    this.render();
+  }
+
+  getSettings() {
+    return { ...this.melody };
+  }
+
+  update(patch) {
+    Object.assign(this.melody, patch);
+    setSetting('melody', this.melody);
+    if (this.onChange) {
+      this.onChange(this.getSettings());
+    }
+  }
+
+  render() {
+    this.container.replaceChildren();
+
+    const title = document.createElement('h3');
+    title.textContent = '旋律模式';
+    this.container.appendChild(title);
+
+    const octaves = [1, 2, 3, 4, 5, 6];
+
+    this.container.append(
+      this.createRow('模式', this.createSelect(
+        Object.entries(MELODY_MODES), this.melody.mode, (value) => this.update({ mode: value })
+      )),
+      this.createRow('主音', this.createSelect(
+        NOTE_NAMES.map((name, index) => [index, name]), this.melody.key, (value) => this.update({ key: parseInt(value) })
+      )),
+      this.createRow('音階', this.createSelect(
+        Object.entries(SCALES).map(([key, scale]) => [key, scale.name]), this.melody.scale, (value) => this.update({ scale: value })
+      )),
+      this.createRow('八度', this.createSelect(
+        octaves.map(octave => [octave, String(octave)]), this.melody.octave, (value) => this.update({ octave: parseInt(value) })
+      )),
+      this.createRow('音色', this.createSelect(
+        MELODIC_VOICES.map(name => [name, name]), this.melody.voice, (value) => this.update({ voice: value })
+      ))
+    );
+  }
+
+  /**
+   * @param {Array<[value, text]>} entries
+   */
+  createSelect(entries, selected, onChange) {
+    const select = document.createElement('select');
+    entries.forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      option.selected = String(value) === String(selected);
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  createRow(labelText, control) {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    row.append(label, control);
+    return row;
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Neon Motion Drum - 節拍器
+ * 依節拍時鐘 (clock.js) 的 BPM 以 AudioContext 時間排程，不使用 setTimeout 計時
+ * 聲音走獨立的 GainNode 直接接到輸出，不經過主音量與效果鏈，也不會出現在匯出的 WAV
+ *
+ * 拍號的 BPM 以四分音符計算：4/4 每拍一響，6/8 每個八分音符一響 (第 1、4 拍為次重音)
+ * 開始時可先打 1-2 小節預備拍，getCountInEnd() 為第一個正式小節的時間
+ * 時鐘格線被鎖住 (loop、音序器播放中) 時不打預備拍，從時鐘的下一個小節開始
+ * 每一響依時鐘的拍子位置排程，執行中同樣鎖住格線 (之後開始的音序器對齊節拍器)
+ */
+
+// 拍號：每小節幾響、每響幾個四分音符、重音位置 (第一個為強拍，其餘為次重音)
+export const TIME_SIGNATURES = {
+  '2/4': { beats: 2, unit: 1, accents: [0] },
+  '3/4': { beats: 3, unit: 1, accents: [0] },
+  '4/4': { beats: 4, unit: 1, accents: [0] },
+  '5/4': { beats: 5, unit: 1, accents: [0, 3] },
+  '6/8': { beats: 6, unit: 0.5, accents: [0, 3] },
+  '7/8': { beats: 7, unit: 0.5, accents: [0, 2, 4] }
+};
+
+export const DEFAULT_METRONOME = {
+  signature: '4/4',
+  countIn: 1,    // 預備拍小節數 (0-2)
+  volume: 0.6
+};
+
+// 開始時預留的時間 (秒)，讓第一響能完整排程
+const START_DELAY = 0.05;
+
+// 點擊音：強拍 / 次重音 / 一般拍的頻率 (Hz) 與音量
+const CLICKS = {
+  downbeat: { frequency: 1600, level: 1 },
+  accent: { frequency: 1200, level: 0.8 },
+  beat: { frequency: 1000, level: 0.5 }
+};
+
+export class Metronome {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {TempoClock} clock - 節拍時鐘 (BPM 與排程器)
+   */
+  constructor(context, clock) {
+    this.context = context;
+    this.clock = clock;
+    this.params = { ...DEFAULT_METRONOME };
+
+    // 獨立輸出 (不經過 masterGain)
+    this.output = context.createGain();
+    this.output.gain.value = this.params.volume;
+    this.output.connect(context.destination);
+
+    this.isRunning = false;
+    this.nextClickBeat = 0;  // 下一響在時鐘上的拍子位置
+    this.clickIndex = 0;     // 開始以來第幾響 (含預備拍)
+    this.countInBars = 0;    // 這次開始的預備拍小節數
+    this.countInEndBeat = 0;
+
+    // 每一響排程時呼叫 ({ time, beat, bar, type, countIn })，用於視覺提示
+    this.onBeat = null;
+
+    this.clock.addTickListener((horizon) => this.scheduleClicks(horizon));
+  }
+
+  set(params) {
+    if (params.signature !== undefined && TIME_SIGNATURES[params.signature]) {
+      this.params.signature = params.signature;
+    }
+    if (params.countIn !== undefined) {
+      this.params.countIn = Math.max(0, Math.min(2, params.countIn));
+    }
+    if (params.volume !== undefined) {
+      this.params.volume = Math.max(0, Math.min(1, params.volume));
+      this.output.gain.setTargetAtTime(this.params.volume, this.context.currentTime, 0.01);
+    }
+  }
+
+  getParams() {
+    return { ...this.params };
+  }
+
+  /**
+   * 開始：以第一響為節拍時鐘的第 0 拍 (量化格線與節拍器對齊)
+   * @returns {number} 第一個正式小節的時間 (預備拍結束)
+   */
+  start() {
+    const beatsPerBar = this.getBeatsPerBar();
+    const time = this.context.currentTime + START_DELAY;
+    let startBeat = 0;
+    this.countInBars = this.params.countIn;
+    this.clock.unlock(this);
+
+    if (this.clock.isLocked()) {
+      // 格線正被使用：對齊時鐘的下一個小節
+      startBeat = Math.ceil(this.clock.getBeatPosition(time) / beatsPerBar) * beatsPerBar;
+      this.countInBars = 0;
+    } else {
+      this.clock.start(time);
+    }
+
+    this.clock.lock(this);
+    this.isRunning = true;
+    this.nextClickBeat = startBeat;
+    this.clickIndex = 0;
+    this.countInEndBeat = startBeat + this.countInBars * beatsPerBar;
+
+    this.scheduleClicks(this.context.currentTime + START_DELAY * 2);
+    return this.getCountInEnd();
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.clock.unlock(this);
+  }
+
+  /**
+   * 一小節有幾拍 (四分音符)
+   */
+  getBeatsPerBar() {
+    const signature = TIME_SIGNATURES[this.params.signature];
+    return signature.beats * signature.unit;
+  }
+
+  /**
+   * 第一個正式小節的時間 (沒有預備拍時等於開始時間)
+   */
+  getCountInEnd() {
+    return this.clock.getBeatTime(this.countInEndBeat);
+  }
+
+  /**
+   * 排程器回呼：排入 horizon 之前的所有點擊
+   * 每一響的時間由時鐘的拍子位置換算，BPM 改變時與量化、loop、音序器的格線保持一致
+   */
+  scheduleClicks(horizon) {
+    if (!this.isRunning) return;
+
+    const signature = TIME_SIGNATURES[this.params.signature];
+    const countInClicks = this.countInBars * signature.beats;
+
+    for (;;) {
+      const time = this.clock.getBeatTime(this.nextClickBeat);
+      if (time >= horizon) break;
+
+      const beat = this.clickIndex % signature.beats;
+      const type = beat === 0 ? 'downbeat' : signature.accents.includes(beat) ? 'accent' : 'beat';
+      const countIn = this.clickIndex < countInClicks;
+
+      // 分頁在背景時計時器會被節流，已經過去的拍子略過不播
+      if (time >= this.context.currentTime) {
+        this.playClick(time, type);
+        if (this.onBeat) {
+          this.onBeat({
+            time,
+            beat,
+            bar: Math.floor(this.clickIndex / signature.beats) - this.countInBars,
+            type,
+            countIn
+          });
+        }
+      }
+
+      this.nextClickBeat += signature.unit;
+      this.clickIndex++;
+    }
+  }
+
+  /**
+   * 短促的正弦波點擊
+   */
+  playClick(time, type) {
+    const click = CLICKS[type];
+    const osc = this.context.createOscillator();
+    const gain = this.context.createGain();
+
+    osc.frequency.value = click.frequency;
+    gain.gain.setValueAtTime(click.level, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.04);
+
+    osc.connect(gain);
+    gain.connect(this.output);
+    osc.start(time);
+    osc.stop(time + 0.05);
+  }
+
+  dispose() {
+    this.stop();
+    this.output.disconnect();
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * Neon Motion Drum - MIDI 面板
+ * 選擇 MIDI 輸出 / 輸入裝置、輸出 channel，並編輯每個鼓墊的音符
+ * 音符對照依鼓墊配置分別保存 (settings.js)，沒有保存時使用 General MIDI 鼓組音符
+ */
+
+import { getDefaultNoteMap } from './midi.js';
+import { midiToName } from './scales.js';
+import { getSetting, setSetting } from './settings.js';
+
+const DEFAULT_MIDI = {
+  enabled: false,  // 曾經連接過：下次啟動時自動連接
+  output: null,
+  input: null,
+  channel: 9,
+  notes: {}        // 依配置保存的音符對照 { layoutKey: [note, ...] }
+};
+
+export class MidiPanel {
+  /**
+   * @param {HTMLElement} container - 面板容器
+   * @param {MidiBridge} midi - MIDI 輸入輸出
+   */
+  constructor(container, midi) {
+    this.container = container;
+    this.midi = midi;
+
+    this.layoutKey = null;
+    this.zones = [];
+    this.settings = { ...DEFAULT_MIDI, ...getSetting('midi', {}) };
+    this.error = null;
+
+    this.midi.setChannel(this.settings.channel);
+    this.midi.onPortsChange = () => this.render();
+  }
+
+  /**
+   * 切換鼓墊配置：載入該配置保存的音符 (或 GM 預設)
+   * @param {Array<Object>} zones - 鼓墊區域
+   * @param {string} layoutKey - 配置名稱 (作為保存的 key)
+   */
+  setPads(zones, layoutKey) {
+    this.zones = zones;
+    this.layoutKey = layoutKey;
+
+    const defaults = getDefaultNoteMap(zones);
+    const saved = this.settings.notes[layoutKey] || [];
+    this.midi.setNoteMap(defaults.map((note, index) => saved[index] ?? note));
+    this.render();
+  }
+
+  /**
+   * 請求 MIDI 權限並套用保存的裝置
+   */
+  async connect() {
+    try {
+      await this.midi.connect();
+      this.midi.setOutput(this.settings.output);
+      this.midi.setInput(this.settings.input);
+      this.error = null;
+      this.update({ enabled: true });
+    } catch (error) {
+      console.warn('MIDI 無法連接:', error);
+      this.error = error.name === 'SecurityError' ? 'MIDI 權限被拒絕' : '無法連接 MIDI 裝置';
+    }
+    this.render();
+  }
+
+  /**
+   * 曾經連接過時自動連接 (需要在使用者操作後呼叫)
+   */
+  async restore() {
+    if (this.settings.enabled && this.midi.isSupported()) {
+      await this.connect();
+    }
+  }
+
+  /**
+   * 更新設定並保存
+   */
+  update(patch) {
+    Object.assign(this.settings, patch);
+    setSetting('midi', this.settings);
+  }
+
+  /**
+   * 修改單一鼓墊的音符
+   */
+  setNote(index, note) {
+    const notes = [...this.midi.noteMap];
+    notes[index] = note;
+    this.midi.setNoteMap(notes);
+    this.update({ notes: { ...this.settings.notes, [this.layoutKey]: notes } });
+  }
+
+  /**
+   * 清除該配置保存的音符，回到 GM 預設
+   */
+  resetNotes() {
+    const notes = { ...this.settings.notes };
+    delete notes[this.layoutKey];
+    this.update({ notes });
+    this.setPads(this.zones, this.layoutKey);
+  }
+
+  render() {
+    this.container.replaceChildren();
+
+    const title = document.createElement('h3');
+    title.textContent = 'MIDI';
+    this.container.appendChild(title);
+
+    if (!this.midi.isSupported()) {
+      this.container.appendChild(this.createNote('此瀏覽器不支援 Web MIDI'));
+      return;
+    }
+
+    if (!this.midi.access) {
+      const connectBtn = document.createElement('button');
+      connectBtn.className = 'btn-small';
+      connectBtn.textContent = '連接 MIDI 裝置';
+      connectBtn.addEventListener('click', () => this.connect());
+      this.container.appendChild(connectBtn);
+      if (this.error) {
+        this.container.appendChild(this.createNote(this.error));
+      }
+      return;
+    }
+
+    const channels = Array.from({ length: 16 }, (_, i) => [i, String(i + 1)]);
+
+    this.container.append(
+      this.createRow('輸出', this.createPortSelect(this.midi.getOutputs(), this.midi.output, (id) => {
+        this.midi.setOutput(id);
+        this.update({ output: id });
+      })),
+      this.createRow('輸入', this.createPortSelect(this.midi.getInputs(), this.midi.input, (id) => {
+        this.midi.setInput(id);
+        this.update({ input: id });
+      })),
+      this.createRow('Channel', this.createSelect(channels, this.settings.channel, (value) => {
+        this.midi.setChannel(parseInt(value));
+        this.update({ channel: parseInt(value) });
+      }))
+    );
+
+    const heading = document.createElement('h4');
+    heading.textContent = '鼓墊音符';
+    this.container.appendChild(heading);
+
+    this.zones.forEach((zone, index) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = 0;
+      input.max = 127;
+      input.value = this.midi.noteMap[index];
+
+      const name = document.createElement('span');
+      name.className = 'panel-value';
+      name.textContent = midiToName(this.midi.noteMap[index]);
+
+      input.addEventListener('change', () => {
+        const note = Math.max(0, Math.min(127, parseInt(input.value) || 0));
+        input.value = note;
+        name.textContent = midiToName(note);
+        this.setNote(index, note);
+      });
+
+      const row = this.createRow(zone.label, input);
+      row.appendChild(name);
+      this.container.appendChild(row);
+    });
+
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'btn-small';
+    resetBtn.textContent = 'GM 預設';
+    resetBtn.addEventListener('click', () => this.resetNotes());
+    this.container.appendChild(resetBtn);
+  }
+
+  /**
+   * 裝置選單 (第一個選項為「無」)
+   */
+  createPortSelect(ports, current, onChange) {
+    const entries = [['', '無'], ...ports.map(port => [port.id, port.name])];
+    return this.createSelect(entries, current ? current.id : '', (value) => onChange(value || null));
+  }
+
+  /**
+   * @param {Array<[value, text]>} entries
+   */
+  createSelect(entries, selected, onChange) {
+    const select = document.createElement('select');
+    entries.forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      option.selected = String(value) === String(selected);
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  createRow(labelText, control) {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    row.append(label, control);
+    return row;
+  }
+
+  createNote(text) {
+    const note = document.createElement('p');
+    note.className = 'panel-note';
+    note.textContent = text;
+    return note;
+  }
+}
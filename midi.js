@@ -0,0 +1,179 @@
+/**
+ * Neon Motion Drum - Web MIDI 輸入 / 輸出
+ * - 輸出：每次觸發送出 note-on (力度 × 127)，noteLength 後送 note-off，可驅動 DAW 或硬體鼓機
+ * - 輸入：收到 note-on 時依音符對照表找到鼓墊並觸發 (接受所有 channel)
+ *
+ * 不依賴 DOM，requestAccess 可替換成測試用的 stub：
+ *   new MidiBridge({ requestAccess: async () => fakeAccess })
+ * fakeAccess 只需要 inputs / outputs (Map 或可迭代的 [id, port]) 與 onstatechange
+ */
+
+// General MIDI 鼓組音符 (channel 10)
+export const GM_DRUM_NOTES = {
+  kick: 36,
+  snare: 38,
+  clap: 39,
+  hihat: 42,
+  tom2: 45,
+  openhat: 46,
+  tom1: 48,
+  crash: 49,
+  ride: 51,
+  synth: 56  // GM 沒有合成器鼓，使用 Cowbell
+};
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+
+/**
+ * 依鼓墊音色產生預設音符對照 (沒有 GM 對應的音色從 60 往上排)
+ */
+export function getDefaultNoteMap(zones) {
+  return zones.map((zone, index) => GM_DRUM_NOTES[zone.sound] ?? 60 + index);
+}
+
+export class MidiBridge {
+  /**
+   * @param {Object} options
+   * @param {Function} options.requestAccess - 取得 MIDIAccess 的函式 (預設 navigator.requestMIDIAccess)
+   * @param {number} options.channel - 輸出 channel (0-15，預設 9 = channel 10 鼓組)
+   * @param {number} options.noteLength - note-on 到 note-off 的時間 (秒)
+   */
+  constructor(options = {}) {
+    this.requestAccess = options.requestAccess
+      || (typeof navigator !== 'undefined' && navigator.requestMIDIAccess
+        ? (opts) => navigator.requestMIDIAccess(opts)
+        : null);
+    this.channel = options.channel ?? 9;
+    this.noteLength = options.noteLength ?? 0.1;
+
+    this.access = null;
+    this.output = null;
+    this.input = null;
+    this.noteMap = [];
+
+    // 回呼
+    this.onNote = null;         // 收到對應到鼓墊的 note-on (padIndex, velocity 0-1)
+    this.onPortsChange = null;  // 裝置插拔
+  }
+
+  /**
+   * 瀏覽器是否支援 Web MIDI (或已提供 requestAccess)
+   */
+  isSupported() {
+    return Boolean(this.requestAccess);
+  }
+
+  /**
+   * 請求 MIDI 權限
+   */
+  async connect() {
+    if (!this.requestAccess) {
+      throw new Error('此瀏覽器不支援 Web MIDI');
+    }
+
+    this.access = await this.requestAccess({ sysex: false });
+    this.access.onstatechange = () => {
+      if (this.onPortsChange) {
+        this.onPortsChange();
+      }
+    };
+    return this;
+  }
+
+  /**
+   * 可用的輸出裝置 [{ id, name }]
+   */
+  getOutputs() {
+    return this.listPorts(this.access ? this.access.outputs : null);
+  }
+
+  /**
+   * 可用的輸入裝置 [{ id, name }]
+   */
+  getInputs() {
+    return this.listPorts(this.access ? this.access.inputs : null);
+  }
+
+  listPorts(ports) {
+    if (!ports) return [];
+    return [...ports.values()].map(port => ({ id: port.id, name: port.name || port.id }));
+  }
+
+  /**
+   * 選擇輸出裝置 (null = 不輸出)
+   */
+  setOutput(id) {
+    this.output = id && this.access ? this.access.outputs.get(id) || null : null;
+  }
+
+  /**
+   * 選擇輸入裝置 (null = 不接收)
+   */
+  setInput(id) {
+    if (this.input) {
+      this.input.onmidimessage = null;
+    }
+    this.input = id && this.access ? this.access.inputs.get(id) || null : null;
+    if (this.input) {
+      this.input.onmidimessage = (e) => this.handleMessage(e.data);
+    }
+  }
+
+  setChannel(channel) {
+    this.channel = Math.max(0, Math.min(15, channel));
+  }
+
+  /**
+   * 設定鼓墊 → 音符對照表
+   * @param {Array<number>} notes - 依鼓墊順序的 MIDI 音符編號
+   */
+  setNoteMap(notes) {
+    this.noteMap = [...notes];
+  }
+
+  /**
+   * 送出鼓墊的 note-on / note-off
+   * @param {number} padIndex - 鼓墊 index
+   * @param {number} velocity - 力度 (0-1)
+   * @param {number|null} note - 指定音符 (例如旋律模式)，null = 依對照表
+   * @param {number} delay - 延後送出的時間 (秒，例如量化後的觸發)
+   */
+  sendNote(padIndex, velocity, note = null, delay = 0) {
+    if (!this.output) return;
+
+    const midiNote = note ?? this.noteMap[padIndex];
+    if (midiNote === undefined || midiNote === null) return;
+
+    const midiVelocity = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+    const start = (typeof performance !== 'undefined' ? performance.now() : 0) + delay * 1000;
+    this.output.send([NOTE_ON | this.channel, midiNote, midiVelocity], start);
+    this.output.send([NOTE_OFF | this.channel, midiNote, 0], start + this.noteLength * 1000);
+  }
+
+  /**
+   * 處理收到的 MIDI 訊息 (只處理 note-on；力度 0 的 note-on 視為 note-off)
+   * @param {Uint8Array|Array<number>} data
+   */
+  handleMessage(data) {
+    const [status, note, velocity] = data;
+    if ((status & 0xf0) !== NOTE_ON || !velocity) return;
+
+    const padIndex = this.noteMap.indexOf(note);
+    if (padIndex !== -1 && this.onNote) {
+      this.onNote(padIndex, velocity / 127);
+    }
+  }
+
+  /**
+   * 中斷連線
+   */
+  disconnect() {
+    this.setInput(null);
+    this.output = null;
+    if (this.access) {
+      this.access.onstatechange = null;
+      this.access = null;
+    }
+  }
+}
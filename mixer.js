@@ -0,0 +1,219 @@
+/**
+ * Neon Motion Drum - 混音器面板
+ * 每個鼓墊一條聲道：音量、聲像、靜音 (M)、獨奏 (S)、悶音組、殘響 / 延遲 send
+ * 設定依鼓墊配置分別保存 (settings.js)，沒有保存時使用 zones.js 的預設悶音組
+ * 另可設定複音上限 (每個鼓墊 / 全體同時發聲數)，不分配置
+ */
+
+import { getSetting, setSetting } from './settings.js';
+
+// 悶音組數量 (0 = 不悶音)
+const CHOKE_GROUPS = 4;
+
+export class MixerPanel {
+  /**
+   * @param {HTMLElement} container - 面板容器
+   * @param {SynthDrums} drums - 音效系統
+   */
+  constructor(container, drums) {
+    this.container = container;
+    this.drums = drums;
+
+    this.layoutKey = null;
+    this.zones = [];
+    this.state = [];  // 每個鼓墊的 { volume, pan, mute, solo, choke, reverb, delay }
+
+    this.drums.setPolyphony(getSetting('polyphony', {}));
+  }
+
+  /**
+   * 切換鼓墊配置：載入該配置保存的設定 (或預設值) 並重建聲道
+   * @param {Array<Object>} zones - 鼓墊區域
+   * @param {string} layoutKey - 配置名稱 (作為保存的 key)
+   */
+  setPads(zones, layoutKey) {
+    this.zones = zones;
+    this.layoutKey = layoutKey;
+
+    const saved = getSetting('mixer', {})[layoutKey] || [];
+    this.state = zones.map((zone, index) => ({
+      volume: 1,
+      pan: 0,
+      mute: false,
+      solo: false,
+      choke: zone.choke || 0,
+      reverb: 0,
+      delay: 0,
+      ...saved[index]
+    }));
+
+    this.drums.resetChannels();
+    this.state.forEach((channel, index) => this.drums.setChannel(index, channel));
+    this.render();
+  }
+
+  /**
+   * 更新單一聲道並保存
+   */
+  update(index, patch) {
+    Object.assign(this.state[index], patch);
+    this.drums.setChannel(index, patch);
+
+    const mixer = getSetting('mixer', {});
+    mixer[this.layoutKey] = this.state;
+    setSetting('mixer', mixer);
+  }
+
+  /**
+   * 清除保存的設定，回到預設值
+   */
+  reset() {
+    const mixer = getSetting('mixer', {});
+    delete mixer[this.layoutKey];
+    setSetting('mixer', mixer);
+    this.setPads(this.zones, this.layoutKey);
+  }
+
+  render() {
+    this.container.replaceChildren();
+
+    const title = document.createElement('h3');
+    title.textContent = '混音器';
+    this.container.appendChild(title);
+
+    this.state.forEach((channel, index) => {
+      this.container.appendChild(this.renderStrip(channel, index));
+    });
+
+    this.container.appendChild(this.renderPolyphony());
+
+    const resetButton = this.createToggle('重設', false, () => this.reset());
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+    row.appendChild(resetButton);
+    this.container.appendChild(row);
+  }
+
+  /**
+   * 單一鼓墊的聲道列
+   */
+  renderStrip(channel, index) {
+    const strip = document.createElement('div');
+    strip.className = 'mixer-strip';
+
+    const label = document.createElement('span');
+    label.className = 'mixer-label';
+    label.textContent = this.zones[index].label;
+
+    const mute = this.createToggle('M', channel.mute, (button) => {
+      this.update(index, { mute: !channel.mute });
+      button.classList.toggle('active', channel.mute);
+    });
+    mute.title = '靜音';
+
+    const solo = this.createToggle('S', channel.solo, (button) => {
+      this.update(index, { solo: !channel.solo });
+      button.classList.toggle('active', channel.solo);
+    });
+    solo.title = '獨奏';
+
+    const choke = document.createElement('select');
+    choke.title = '悶音組';
+    for (let group = 0; group <= CHOKE_GROUPS; group++) {
+      const option = document.createElement('option');
+      option.value = group;
+      option.textContent = group === 0 ? '—' : `C${group}`;
+      option.selected = group === channel.choke;
+      choke.appendChild(option);
+    }
+    choke.addEventListener('change', () => this.update(index, { choke: parseInt(choke.value) }));
+
+    const volume = this.createSlider(0, 1, 0.05, channel.volume, (value) => this.update(index, { volume: value }));
+    volume.title = '音量';
+
+    const pan = this.createSlider(-1, 1, 0.1, channel.pan, (value) => this.update(index, { pan: value }));
+    pan.title = '聲像 (左 ← → 右)';
+    // 雙擊聲像回到中央
+    pan.addEventListener('dblclick', () => {
+      pan.value = 0;
+      this.update(index, { pan: 0 });
+    });
+
+    const top = document.createElement('div');
+    top.className = 'panel-row';
+    top.append(label, mute, solo, choke);
+
+    const bottom = document.createElement('div');
+    bottom.className = 'panel-row';
+    bottom.append(volume, pan);
+
+    const reverb = this.createSlider(0, 1, 0.05, channel.reverb, (value) => this.update(index, { reverb: value }));
+    reverb.title = '殘響 send';
+    const delay = this.createSlider(0, 1, 0.05, channel.delay, (value) => this.update(index, { delay: value }));
+    delay.title = '延遲 send';
+
+    const sends = document.createElement('div');
+    sends.className = 'panel-row mixer-sends';
+    sends.append(this.createLabel('REV'), reverb, this.createLabel('DLY'), delay);
+
+    strip.append(top, bottom, sends);
+    return strip;
+  }
+
+  /**
+   * 複音上限設定列
+   */
+  renderPolyphony() {
+    const limits = this.drums.getPolyphony();
+    const row = document.createElement('div');
+    row.className = 'panel-row mixer-sends';
+    row.title = '同時發聲數上限，超過時淡出最早的聲音';
+
+    const createInput = (key, min, max) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = min;
+      input.max = max;
+      input.value = limits[key];
+      input.addEventListener('change', () => {
+        this.drums.setPolyphony({ [key]: parseInt(input.value) || limits[key] });
+        const updated = this.drums.getPolyphony();
+        input.value = updated[key];
+        setSetting('polyphony', updated);
+      });
+      return input;
+    };
+
+    row.append(
+      this.createLabel('複音 每墊'), createInput('perPad', 1, 16),
+      this.createLabel('總數'), createInput('total', 1, 64)
+    );
+    return row;
+  }
+
+  createLabel(text) {
+    const label = document.createElement('label');
+    label.textContent = text;
+    return label;
+  }
+
+  createSlider(min, max, step, value, onInput) {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = value;
+    input.addEventListener('input', () => onInput(parseFloat(input.value)));
+    return input;
+  }
+
+  createToggle(text, active, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn-small';
+    button.classList.toggle('active', active);
+    button.textContent = text;
+    button.addEventListener('click', () => onClick(button));
+    return button;
+  }
+}
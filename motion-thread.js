@@ -0,0 +1,232 @@
+/**
+ * Neon Motion Drum - Worker 動態偵測 (主執行緒端)
+ * 以固定頻率擷取 webcam 畫面送到 motion-worker.js 偵測，觸發結果以 onHits 回呼
+ * 偵測頻率與 requestAnimationFrame 無關，畫面重繪變慢時偵測照常進行
+ *
+ * 傳送方式：
+ * - bitmap: createImageBitmap(video) 後轉移給 Worker，繪製與取像素都在 Worker 的 OffscreenCanvas 完成
+ * - raw: 瀏覽器不支援 OffscreenCanvas 時，主執行緒縮小成 64×48 後轉移 RGBA 資料，只有運算在 Worker
+ *
+ * 參數與設定方法 (setThreshold 等) 與 MotionDetector 相同，
+ * 呼叫時同步更新本地的參數鏡像並轉送給 Worker，diag.js 等讀取參數的程式不需區分兩種偵測器
+ */
+
+import { MotionDetector } from './motion.js';
+import { VideoSource } from './sources.js';
+
+// 轉送給 Worker 的設定方法
+const FORWARDED_METHODS = [
+  'setThreshold',
+  'setReleaseThreshold',
+  'setCooldown',
+  'setMode',
+  'setAdaptive',
+  'setLightingMode',
+  'setTargetColor',
+  'setZones',
+  'reset'
+];
+
+export class ThreadedDetector {
+  /**
+   * 瀏覽器是否支援 Worker 偵測
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  constructor(options = {}) {
+    this.options = options;
+    this.fps = options.fps || 30;
+
+    // 本地參數鏡像 (只保存設定，不做偵測)
+    this.local = new MotionDetector(options);
+
+    this.worker = null;
+    this.video = null;
+    this.transport = null;
+    this.captureSource = null;
+    this.timer = null;
+    this.busy = false;  // Worker 處理中不再送新幀，避免堆積
+    this.debugTransferred = false;
+
+    // 回呼
+    this.onHits = null;
+    this.onError = null;
+  }
+
+  /**
+   * 建立 Worker 並初始化偵測器
+   * debugCanvas 會轉移給 Worker 繪製 (轉移後主執行緒無法再使用)
+   * sourceOptions 與 MotionDetector.init 相同，例如 { mirror: false } 讓影片檔不翻轉
+   */
+  init(video, debugCanvas = null, sourceOptions = {}) {
+    this.video = video;
+    const mirror = sourceOptions.mirror ?? true;
+
+    const canTransferBitmap = typeof createImageBitmap === 'function' && typeof OffscreenCanvas !== 'undefined';
+    this.transport = canTransferBitmap ? 'bitmap' : 'raw';
+
+    if (this.transport === 'raw') {
+      this.captureSource = new VideoSource(video, { ...sourceOptions, mirror });
+      this.captureSource.attach(this.local.width, this.local.height);
+    }
+
+    const offscreenDebug = debugCanvas && debugCanvas.transferControlToOffscreen
+      ? debugCanvas.transferControlToOffscreen()
+      : null;
+    this.debugTransferred = Boolean(offscreenDebug);
+
+    this.worker = new Worker(new URL('./motion-worker.js', import.meta.url), { type: 'module' });
+
+    return new Promise((resolve, reject) => {
+      let ready = false;
+
+      this.worker.onmessage = (e) => {
+        const message = e.data;
+        if (message.type === 'ready') {
+          ready = true;
+          resolve(this);
+        } else if (message.type === 'result') {
+          this.busy = false;
+          if (message.hits.length > 0 && this.onHits) {
+            this.onHits(message.hits);
+          }
+        } else if (message.type === 'error') {
+          this.busy = false;
+          this.handleError(new Error(message.message), ready ? null : reject);
+        }
+      };
+
+      this.worker.onerror = (e) => {
+        e.preventDefault();
+        this.handleError(new Error(e.message || 'Worker 載入失敗'), ready ? null : reject);
+      };
+
+      this.worker.postMessage({
+        type: 'init',
+        options: this.options,
+        transport: this.transport,
+        mirror,
+        debugCanvas: offscreenDebug
+      }, offscreenDebug ? [offscreenDebug] : []);
+    });
+  }
+
+  /**
+   * 初始化前的錯誤交給 init 的 Promise；之後的錯誤交給 onError
+   */
+  handleError(error, reject) {
+    if (reject) {
+      this.stop();
+      reject(error);
+    } else if (this.onError) {
+      this.onError(error);
+    }
+  }
+
+  /**
+   * 開始以 fps 頻率擷取畫面
+   */
+  start() {
+    this.stopTimer();
+    this.timer = setInterval(() => this.capture(), 1000 / this.fps);
+  }
+
+  /**
+   * 擷取一幀送到 Worker
+   */
+  async capture() {
+    if (this.busy || !this.worker) return;
+    if (this.video.readyState < this.video.HAVE_CURRENT_DATA) return;
+
+    this.busy = true;
+    try {
+      if (this.transport === 'bitmap') {
+        const bitmap = await createImageBitmap(this.video);
+        if (!this.worker) {
+          bitmap.close();
+          return;
+        }
+        this.worker.postMessage({ type: 'frame', bitmap }, [bitmap]);
+      } else {
+        const frame = this.captureSource.readFrame();
+        if (!frame) {
+          this.busy = false;
+          return;
+        }
+        const data = frame.data;
+        this.worker.postMessage({
+          type: 'frame',
+          frame: { data, width: frame.width, height: frame.height }
+        }, [data.buffer]);
+      }
+    } catch (error) {
+      // video 被中斷或尚未準備好，跳過這一幀
+      this.busy = false;
+    }
+  }
+
+  /**
+   * 設定偵測頻率 (fps)，與畫面重繪頻率無關
+   */
+  setRate(fps) {
+    this.fps = Math.max(5, Math.min(60, fps));
+    if (this.timer) {
+      this.start();
+    }
+  }
+
+  /**
+   * 同步更新本地參數並轉送給 Worker
+   */
+  call(method, ...args) {
+    this.local[method](...args);
+    if (this.worker) {
+      this.worker.postMessage({ type: 'call', method, args });
+    }
+  }
+
+  // 參數讀取 (與 MotionDetector 相同)
+  get width() { return this.local.width; }
+  get height() { return this.local.height; }
+  get threshold() { return this.local.threshold; }
+  get zones() { return this.local.zones; }
+  get cellCount() { return this.local.cellCount; }
+  get minSaturation() { return this.local.minSaturation; }
+  get minValue() { return this.local.minValue; }
+
+  getCellBounds(cellIndex) {
+    return this.local.getCellBounds(cellIndex);
+  }
+
+  getParams() {
+    return { ...this.local.getParams(), fps: this.fps, worker: this.transport };
+  }
+
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 停止擷取並結束 Worker
+   */
+  stop() {
+    this.stopTimer();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.busy = false;
+  }
+}
+
+// 產生轉送方法：detector.setThreshold(20) → call('setThreshold', 20)
+FORWARDED_METHODS.forEach(method => {
+  ThreadedDetector.prototype[method] = function (...args) {
+    this.call(method, ...args);
+  };
+});
@@ -0,0 +1,56 @@
+/**
+ * Neon Motion Drum - 動態偵測 Worker
+ * 在背景執行緒執行繪製、取像素與每格運算，避免與 CSS 動畫、UI 搶主執行緒
+ * 由 motion-thread.js 的 ThreadedDetector 建立與驅動
+ *
+ * 訊息格式 (主執行緒 → Worker)：
+ * - { type: 'init', options, transport, mirror, debugCanvas }
+ *   transport 為 'bitmap' (傳 ImageBitmap，在 OffscreenCanvas 上繪製) 或 'raw' (傳已縮小的 RGBA 資料)
+ * - { type: 'frame', bitmap } 或 { type: 'frame', frame: { data, width, height } }
+ * - { type: 'call', method, args }：呼叫偵測器的設定方法 (setThreshold 等)
+ *
+ * 訊息格式 (Worker → 主執行緒)：
+ * - { type: 'ready' }
+ * - { type: 'result', hits }：每處理完一幀回傳一次 (hits 可能為空陣列)
+ * - { type: 'error', message }
+ */
+
+import { MotionDetector } from './motion.js';
+import { BitmapSource, ImageDataSource } from './sources.js';
+
+let detector = null;
+let source = null;
+
+self.onmessage = (e) => {
+  const message = e.data;
+
+  try {
+    switch (message.type) {
+      case 'init':
+        // raw 模式的幀已在主執行緒裁切翻轉，這裡不再翻轉
+        source = message.transport === 'bitmap'
+          ? new BitmapSource({ mirror: message.mirror })
+          : new ImageDataSource([]);
+        detector = new MotionDetector(message.options);
+        detector.init(source, message.debugCanvas || null);
+        self.postMessage({ type: 'ready' });
+        break;
+
+      case 'frame':
+        if (!detector) return;
+        source.push(message.bitmap || message.frame);
+        self.postMessage({ type: 'result', hits: detector.detect() });
+        break;
+
+      case 'call':
+        if (!detector) return;
+        detector[message.method](...message.args);
+        break;
+
+      default:
+        console.warn(`Unknown worker message: ${message.type}`);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
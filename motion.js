@@ -1,33 +1,127 @@
 /**
  * Neon Motion Drum - 動態偵測引擎
  * 使用像素亮度差異偵測動作，不依賴 AI/ML 庫
+ *
+ * 偵測模式：
+ * - brightness: 比較每格平均亮度的變化 (0-255)
+ * - pixel: 逐像素比對前一幀，計算每格變化像素的面積比例 (%)
+ * - color: 追蹤指定色相 (鼓棒上的螢光膠帶、彩色手套)，計算每格符合顏色的面積比例 (%)
+ *   只有該顏色進入格子才觸發，頭部與身體的晃動不影響
+ *
+ * 自動閾值 (adaptive)：
+ * 畫面靜止時持續統計每格變化量的平均值與變異數 (雜訊底線)，
+ * 變化量超過「平均值 + 倍數 × 標準差」才觸發，倍數由靈敏度決定。
+ * 不同房間、攝影機、明暗區域的雜訊差異因此不需手動調整。
+ *
+ * 觸發採上升緣 + 遲滯 (hysteresis)：
+ * 每格有「待命 / 已觸發」兩種狀態，待命時變化量超過上閾值 (threshold) 才觸發，
+ * 觸發後變化量必須降到下閾值 (releaseThreshold) 以下，並持續一段時間 (releaseHoldMs) 才重新待命。
+ * 打完手停在格子裡時下一幀的變化量就會降下來，持續時間讓停住後的小幅晃動不會馬上再觸發；
+ * 慢慢移動也不會連續觸發。冷卻時間只是額外的保護 (可設為 0 關閉)。
+ *
+ * 全域光線變化：
+ * 開燈、雲遮、攝影機自動曝光會讓大多數格子的亮度同時往同一方向變化差不多的量。
+ * 偵測到這種整體變化時，依 lightingMode 補償 (扣除整體變化量後再比對) 或略過該幀。
+ *
+ * 畫面來源：
+ * detect() 從來源 (sources.js) 讀取一幀後交給 analyzeFrame()；
+ * analyzeFrame() 只處理 RGBA 陣列，不需要 DOM，可在 Node 中對錄製或合成片段跑偵測。
+ *
+ * 動作方向：
+ * 追蹤每格 (含周圍半格範圍) 變化像素的重心在前後幀之間的位移，
+ * 觸發時一併回報主要方向 (up / down / left / right)，讓同一格能依揮動方向播放不同音色。
  */
 
+import { createGridZones } from './zones.js';
+import { createFrameSource } from './sources.js';
+
+/**
+ * RGB (0-255) 轉 HSV
+ * @returns {{h: number, s: number, v: number}} h 為 0-360 度，s、v 為 0-1
+ */
+export function rgbToHsv(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+
+  let h = 0;
+  if (delta > 0) {
+    if (max === r) {
+      h = 60 * (((g - b) / delta) % 6);
+    } else if (max === g) {
+      h = 60 * ((b - r) / delta + 2);
+    } else {
+      h = 60 * ((r - g) / delta + 4);
+    }
+  }
+
+  return {
+    h: h < 0 ? h + 360 : h,
+    s: max > 0 ? delta / max : 0,
+    v: max / 255
+  };
+}
+
+export const DETECTION_MODES = ['brightness', 'pixel', 'color'];
+export const LIGHTING_MODES = ['compensate', 'suppress', 'off'];
+
 export class MotionDetector {
   constructor(options = {}) {
     // 偵測用的低解析度 (效能優化)
     this.width = options.width || 64;
     this.height = options.height || 48;
 
-    // 格子配置
-    this.cols = options.cols || 3;
-    this.rows = options.rows || 3;
-    this.cellCount = this.cols * this.rows;
+    // 鼓墊區域 (相對座標，見 zones.js)；未指定時均分為 cols × rows
+    this.zones = options.zones || createGridZones(options.cols || 3, options.rows || 3);
+    this.cellCount = this.zones.length;
 
     // 偵測參數
-    this.threshold = options.threshold || 20;      // 亮度變化閾值 (0-255)
-    this.cooldownMs = options.cooldownMs || 250;   // 冷卻時間 (ms)
-
-    // 狀態追蹤
-    this.previousBrightness = new Array(this.cellCount).fill(0);
-    this.cooldowns = new Array(this.cellCount).fill(0);
-
-    // Canvas 用於像素運算
-    this.canvas = null;
-    this.ctx = null;
-
-    // Video 元素參考
-    this.video = null;
+    this.mode = DETECTION_MODES.includes(options.mode) ? options.mode : 'brightness';
+    this.threshold = options.threshold || 20;      // 觸發閾值 (brightness: 亮度差 0-255, pixel: 面積 %)
+    this.pixelThreshold = options.pixelThreshold || 25; // pixel 模式：單一像素的亮度變化閾值
+    this.releaseThreshold = options.releaseThreshold || 10; // 重新待命的下閾值 (單位同 threshold)
+    this.releaseHoldMs = options.releaseHoldMs ?? 150; // 低於下閾值持續多久 (ms) 才重新待命
+    this.cooldownMs = options.cooldownMs ?? 100;   // 冷卻時間 (ms)，0 = 關閉
+    this.minVelocity = options.minVelocity ?? 0.3; // 剛好過閾值時的力度
+
+    // color 模式參數
+    this.targetColor = options.targetColor || null;          // 追蹤的顏色 { h (0-360), s (0-1), v (0-1) }
+    this.hueTolerance = options.hueTolerance || 20;          // 色相容許誤差 (度)
+    this.minSaturation = options.minSaturation || 0.35;      // 飽和度下限 (排除灰白色)
+    this.minValue = options.minValue || 0.2;                 // 明度下限 (排除暗部雜訊)
+
+    // 全域光線變化參數
+    this.lightingMode = LIGHTING_MODES.includes(options.lightingMode) ? options.lightingMode : 'compensate';
+    this.globalMinDelta = options.globalMinDelta || 2;     // 格子亮度變化小於此值不列入判斷
+    this.globalCellRatio = options.globalCellRatio || 0.7; // 同方向變化的格子比例門檻
+    this.globalSpread = options.globalSpread || 0.5;       // 變化量標準差 / 平均值的上限 (變化量需相近)
+    this.lastGlobalChange = { detected: false, offset: 0, action: null };
+    this.globalIndicator = { action: null, until: 0 };  // Debug 標示保留一段時間，單幀太短看不到
+
+    // 方向估計參數
+    this.minCentroidPixels = options.minCentroidPixels || 4; // 變化像素少於此數不計算重心
+    this.minDirectionPx = options.minDirectionPx || 0.5;     // 位移小於此值 (px/幀) 視為無方向
+
+    // 自動閾值參數
+    this.adaptive = options.adaptive || false;
+    this.noiseAlpha = options.noiseAlpha || 0.05;     // 雜訊統計的更新速率 (指數移動平均)
+    this.warmupFrames = options.warmupFrames || 30;   // 學習幾幀後才開始觸發
+    this.minNoiseStd = options.minNoiseStd || 0.5;    // 標準差下限，避免完全靜止時過度敏感
+
+    // 狀態追蹤 (每格陣列由 allocateCellState 建立)
+    this.hasPreviousFrame = false; // 第一幀沒有可比對的前一幀
+    this.allocateCellState();
+
+    // pixel 模式：前一幀與本幀的逐像素亮度
+    this.previousLuma = null;
+    this.luma = new Uint8Array(this.width * this.height);
+    this.changedMask = new Uint8Array(this.width * this.height);
+
+    // color 模式：符合追蹤顏色的像素
+    this.colorMask = new Uint8Array(this.width * this.height);
+
+    // 畫面來源 (見 sources.js)
+    this.source = null;
 
     // Debug 模式
     this.debugCanvas = null;
@@ -35,16 +129,37 @@ export class MotionDetector {
   }
 
   /**
-   * 初始化偵測器
+   * 依區域數量建立每格的狀態陣列
    */
-  init(video, debugCanvas = null) {
-    this.video = video;
+  allocateCellState() {
+    this.previousBrightness = new Array(this.cellCount).fill(0);
+    this.brightness = new Array(this.cellCount).fill(0);  // 本幀各格平均亮度
+    this.cooldowns = new Array(this.cellCount).fill(0);
+    this.armed = new Array(this.cellCount).fill(true);  // 待命中才能觸發
+    this.releaseSince = new Array(this.cellCount).fill(null); // 已觸發後開始低於下閾值的時間
+    this.activity = new Array(this.cellCount).fill(0);  // 每格本幀的變化量 (依模式而定)
+
+    // 自動閾值：每格變化量的雜訊統計
+    this.noiseMean = new Array(this.cellCount).fill(0);
+    this.noiseVariance = new Array(this.cellCount).fill(0);
+    this.noiseSamples = new Array(this.cellCount).fill(0);
+
+    // 方向估計：上一幀的變化重心與平滑後的位移向量
+    this.centroids = new Array(this.cellCount).fill(null);
+    this.motionX = new Array(this.cellCount).fill(0);
+    this.motionY = new Array(this.cellCount).fill(0);
+  }
 
-    // 建立偵測用 canvas
-    this.canvas = document.createElement('canvas');
-    this.canvas.width = this.width;
-    this.canvas.height = this.height;
-    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+  /**
+   * 初始化偵測器
+   * @param {HTMLVideoElement|Object} input - 畫面來源：<video>、canvas、圖片序列、RGBA 幀，
+   *   或已實作 readFrame() 的來源物件 (見 sources.js)
+   * @param {HTMLCanvasElement|null} debugCanvas - Debug 視覺化用 canvas (可選)
+   * @param {Object} sourceOptions - 建立來源的選項，例如 { mirror: false } 讓影片檔不翻轉 (可選)
+   */
+  init(input, debugCanvas = null, sourceOptions = {}) {
+    this.source = createFrameSource(input, sourceOptions);
+    this.source.attach(this.width, this.height);
 
     // Debug canvas (可選)
     if (debugCanvas) {
@@ -58,97 +173,207 @@ export class MotionDetector {
   }
 
   /**
-   * 執行一次偵測，回傳觸發的格子索引陣列
+   * 從畫面來源讀取一幀並偵測，回傳觸發的格子陣列
+   * @returns {Array<{index: number, velocity: number, direction: string|null}>}
+   *   velocity 介於 minVelocity-1；direction 為 'up' | 'down' | 'left' | 'right' 或 null (無法判斷)
    */
   detect() {
-    if (!this.video || !this.ctx) return [];
-    // 使用常數檢查，確保 video 已有足夠資料可繪製
-    if (this.video.readyState < this.video.HAVE_CURRENT_DATA) return [];
+    if (!this.source) return [];
+
+    // 來源本幀沒有資料 (video 尚未就緒、序列播完)，靜默跳過
+    const frame = this.source.readFrame();
+    if (!frame) return [];
 
-    const now = Date.now();
+    return this.analyzeFrame(frame);
+  }
+
+  /**
+   * 分析一幀 RGBA 像素資料 (不需要 DOM，可直接餵入錄製或合成的幀)
+   * @param {{data: Uint8ClampedArray, width: number, height: number}} frame - 尺寸需等於偵測解析度
+   * @param {number} now - 時間戳 (ms)，用於冷卻計算；離線分析時可傳入幀的時間
+   */
+  analyzeFrame(frame, now = Date.now()) {
     const triggered = [];
 
-    // 1. 繪製到小 canvas (水平翻轉 + 模擬 object-fit: cover)
-    // 使用 try-catch 保護，某些瀏覽器 (Safari) 可能拋出 InvalidStateError
-    let imageData;
-    try {
-      const vw = this.video.videoWidth;
-      const vh = this.video.videoHeight;
-
-      // 計算 object-fit: cover 的裁切區域
-      // 確保偵測座標與視覺顯示一致
-      const videoRatio = vw / vh;
-      const canvasRatio = this.width / this.height;
-
-      let sx, sy, sw, sh;
-
-      if (videoRatio > canvasRatio) {
-        // video 較寬，左右裁切
-        sh = vh;
-        sw = vh * canvasRatio;
-        sx = (vw - sw) / 2;
-        sy = 0;
-      } else {
-        // video 較高，上下裁切
-        sw = vw;
-        sh = vw / canvasRatio;
-        sx = 0;
-        sy = (vh - sh) / 2;
-      }
+    // 1. 計算各區域亮度，判斷是否為全域光線變化
+    for (let i = 0; i < this.cellCount; i++) {
+      this.brightness[i] = this.getRegionBrightness(frame, i);
+    }
 
-      this.ctx.save();
-      this.ctx.scale(-1, 1);
-      // 使用 9 參數版本的 drawImage: (image, sx, sy, sw, sh, dx, dy, dw, dh)
-      // 只繪製 video 的可見區域（模擬 object-fit: cover）
-      this.ctx.drawImage(
-        this.video,
-        sx, sy, sw, sh,           // 來源區域（裁切後）
-        -this.width, 0, this.width, this.height  // 目標區域
-      );
-      this.ctx.restore();
+    const global = this.hasPreviousFrame ? this.detectGlobalChange() : { detected: false, offset: 0 };
+    const offset = global.detected && this.lightingMode === 'compensate' ? global.offset : 0;
+    const suppressed = global.detected && this.lightingMode === 'suppress';
+    this.lastGlobalChange = {
+      ...global,
+      action: global.detected && this.lightingMode !== 'off' ? (suppressed ? 'suppressed' : 'compensated') : null
+    };
 
-      // 2. 取得像素資料
-      imageData = this.ctx.getImageData(0, 0, this.width, this.height);
-    } catch (error) {
-      // video 尚未準備好或被中斷，靜默跳過這一幀
-      this.ctx.restore();
-      return [];
+    if (this.lastGlobalChange.action) {
+      this.globalIndicator = { action: this.lastGlobalChange.action, until: now + 500 };
     }
 
-    // 3. 計算各區域亮度並比對
+    // 2. 逐像素比對 (供 pixel 模式與方向估計使用)，補償模式扣除整體變化量
+    this.updateChangedMask(frame, offset);
+    if (this.mode === 'color') {
+      this.updateColorMask(frame);
+    }
+
+    // 3. 計算各區域變化量並比對
     for (let i = 0; i < this.cellCount; i++) {
-      const brightness = this.getRegionBrightness(imageData, i);
-      const diff = Math.abs(brightness - this.previousBrightness[i]);
+      const brightness = this.brightness[i];
+
+      // 第一幀只記錄亮度，不比對 (否則與初始值 0 相比會讓所有格子同時觸發)
+      if (!this.hasPreviousFrame) {
+        this.previousBrightness[i] = brightness;
+        continue;
+      }
 
-      // 檢查是否超過閾值且不在冷卻中
-      if (diff > this.threshold && now > this.cooldowns[i]) {
-        triggered.push(i);
-        this.cooldowns[i] = now + this.cooldownMs;
+      let diff;
+      if (this.mode === 'pixel') {
+        diff = this.getMaskRatio(i, this.changedMask) * 100;
+      } else if (this.mode === 'color') {
+        diff = this.getMaskRatio(i, this.colorMask) * 100;
+      } else {
+        diff = Math.abs(brightness - this.previousBrightness[i] - offset);
+      }
+      this.activity[i] = diff;
+      this.updateMotionVector(i);
+      const level = this.getTriggerLevel(i);
+
+      if (suppressed) {
+        // 略過模式：整幀不觸發也不學習雜訊，只更新前一幀亮度
+      } else if (this.armed[i]) {
+        // 待命中：超過上閾值且不在冷卻中才觸發 (上升緣)
+        if (diff > level) {
+          if (now >= this.cooldowns[i]) {
+            triggered.push({
+              index: i,
+              velocity: this.getVelocity(diff, level),
+              direction: this.getDirection(i)
+            });
+            this.cooldowns[i] = now + this.cooldownMs;
+            this.armed[i] = false;
+            this.releaseSince[i] = null;
+          }
+        } else if (this.adaptive) {
+          // 只在靜止 (待命且未超過閾值) 時學習雜訊，動作本身不會墊高底線
+          this.updateNoiseFloor(i, diff);
+        }
+      } else if (diff < this.getReleaseLevel(i)) {
+        // 已觸發：變化量持續低於下閾值 releaseHoldMs 才重新待命
+        if (this.releaseSince[i] === null) {
+          this.releaseSince[i] = now;
+        }
+        if (now - this.releaseSince[i] >= this.releaseHoldMs) {
+          this.armed[i] = true;
+        }
+      } else {
+        this.releaseSince[i] = null;
       }
 
       this.previousBrightness[i] = brightness;
     }
 
+    this.hasPreviousFrame = true;
+
     // 4. Debug 繪製
     if (this.debugCtx) {
-      this.drawDebug(imageData, triggered);
+      this.drawDebug(frame, triggered, now);
     }
 
     return triggered;
   }
 
   /**
-   * 計算指定格子區域的平均亮度
+   * 判斷本幀是否為全域光線變化
+   * 條件：至少 globalCellRatio 比例的格子亮度往同一方向變化超過 globalMinDelta，
+   * 且這些格子的變化量相近 (標準差 / 平均值 ≤ globalSpread)
+   * @returns {{detected: boolean, offset: number}} offset 為同方向格子的平均亮度變化 (有正負)
    */
-  getRegionBrightness(imageData, cellIndex) {
-    const col = cellIndex % this.cols;
-    const row = Math.floor(cellIndex / this.cols);
+  detectGlobalChange() {
+    const deltas = this.brightness.map((b, i) => b - this.previousBrightness[i]);
+    const rising = deltas.filter(d => d > this.globalMinDelta);
+    const falling = deltas.filter(d => d < -this.globalMinDelta);
+    const dominant = rising.length >= falling.length ? rising : falling;
+
+    if (dominant.length < this.cellCount * this.globalCellRatio) {
+      return { detected: false, offset: 0 };
+    }
+
+    const mean = dominant.reduce((sum, d) => sum + d, 0) / dominant.length;
+    const variance = dominant.reduce((sum, d) => sum + (d - mean) ** 2, 0) / dominant.length;
+    const detected = Math.sqrt(variance) <= Math.abs(mean) * this.globalSpread;
+
+    return { detected, offset: detected ? mean : 0 };
+  }
+
+  /**
+   * 取得指定格子本幀的觸發閾值
+   * 固定模式直接使用 threshold；自動模式為雜訊平均值 + (threshold / 5) 倍標準差
+   * (靈敏度 20 → 4σ)，學習期間不觸發
+   */
+  getTriggerLevel(cellIndex) {
+    if (!this.adaptive) return this.threshold;
+    if (this.noiseSamples[cellIndex] < this.warmupFrames) return Infinity;
+
+    const std = Math.max(this.minNoiseStd, Math.sqrt(this.noiseVariance[cellIndex]));
+    return this.noiseMean[cellIndex] + (this.threshold / 5) * std;
+  }
+
+  /**
+   * 取得指定格子重新待命的下閾值 (不會高於上閾值)
+   * 固定模式為 releaseThreshold；自動模式以相同方式換算成標準差倍數
+   */
+  getReleaseLevel(cellIndex) {
+    const release = Math.min(this.releaseThreshold, this.threshold);
+    if (!this.adaptive) return release;
+
+    const std = Math.max(this.minNoiseStd, Math.sqrt(this.noiseVariance[cellIndex]));
+    return this.noiseMean[cellIndex] + (release / 5) * std;
+  }
 
-    const cellW = Math.floor(this.width / this.cols);
-    const cellH = Math.floor(this.height / this.rows);
+  /**
+   * 以指數移動平均更新指定格子的雜訊平均值與變異數
+   * 學習期間以累計平均起步，之後改用固定速率追蹤環境變化
+   */
+  updateNoiseFloor(cellIndex, diff) {
+    const samples = ++this.noiseSamples[cellIndex];
+    const alpha = Math.max(this.noiseAlpha, 1 / samples);
+    const delta = diff - this.noiseMean[cellIndex];
 
-    const startX = col * cellW;
-    const startY = row * cellH;
+    this.noiseMean[cellIndex] += alpha * delta;
+    this.noiseVariance[cellIndex] = (1 - alpha) * (this.noiseVariance[cellIndex] + alpha * delta * delta);
+  }
+
+  /**
+   * 依差異值超過閾值的幅度換算力度
+   * 剛過閾值為 minVelocity，超過閾值 2 × threshold 時為最大力度 1
+   */
+  getVelocity(diff, level = this.threshold) {
+    const excess = (diff - level) / (this.threshold * 2);
+    const amount = Math.max(0, Math.min(1, excess));
+    return this.minVelocity + (1 - this.minVelocity) * amount;
+  }
+
+  /**
+   * 取得區域在偵測 canvas 上的取樣範圍 (整數像素，至少 1×1 且不超出畫面)
+   */
+  getCellBounds(cellIndex) {
+    const zone = this.zones[cellIndex];
+
+    const x = Math.min(this.width - 1, Math.max(0, Math.round(zone.x * this.width)));
+    const y = Math.min(this.height - 1, Math.max(0, Math.round(zone.y * this.height)));
+    const w = Math.max(1, Math.min(this.width - x, Math.round(zone.w * this.width)));
+    const h = Math.max(1, Math.min(this.height - y, Math.round(zone.h * this.height)));
+
+    return { x, y, w, h };
+  }
+
+  /**
+   * 計算指定格子區域的平均亮度
+   */
+  getRegionBrightness(imageData, cellIndex) {
+    const { x: startX, y: startY, w: cellW, h: cellH } = this.getCellBounds(cellIndex);
 
     let totalBrightness = 0;
     let pixelCount = 0;
@@ -171,42 +396,211 @@ export class MotionDetector {
     return pixelCount > 0 ? totalBrightness / pixelCount : 0;
   }
 
+  /**
+   * 逐像素比對前一幀，標記亮度變化超過 pixelThreshold 的像素 (pixel 模式與方向估計共用)
+   * 第一幀沒有前一幀可比對，不標記任何像素
+   * @param {number} offset - 全域光線補償量，比對前先從亮度變化中扣除
+   */
+  updateChangedMask(imageData, offset = 0) {
+    const data = imageData.data;
+    const pixelCount = this.width * this.height;
+
+    for (let p = 0; p < pixelCount; p++) {
+      const idx = p * 4;
+      this.luma[p] = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+    }
+
+    if (this.previousLuma) {
+      for (let p = 0; p < pixelCount; p++) {
+        this.changedMask[p] = Math.abs(this.luma[p] - this.previousLuma[p] - offset) > this.pixelThreshold ? 1 : 0;
+      }
+    } else {
+      this.previousLuma = new Uint8Array(pixelCount);
+      this.changedMask.fill(0);
+    }
+
+    this.previousLuma.set(this.luma);
+  }
+
+  /**
+   * color 模式：標記色相接近追蹤顏色、且飽和度與明度足夠的像素
+   * 尚未選色時不標記任何像素
+   */
+  updateColorMask(imageData) {
+    this.colorMask.fill(0);
+    if (!this.targetColor) return;
+
+    const data = imageData.data;
+    const pixelCount = this.width * this.height;
+
+    for (let p = 0; p < pixelCount; p++) {
+      const idx = p * 4;
+      const { h, s, v } = rgbToHsv(data[idx], data[idx + 1], data[idx + 2]);
+      if (s < this.minSaturation || v < this.minValue) continue;
+
+      // 色相是環狀的 (0° 與 360° 相鄰)
+      const hueDiff = Math.abs(h - this.targetColor.h);
+      if (Math.min(hueDiff, 360 - hueDiff) <= this.hueTolerance) {
+        this.colorMask[p] = 1;
+      }
+    }
+  }
+
+  /**
+   * 計算指定格子內遮罩像素的面積比例 (0-1)
+   * pixel 模式使用變化像素遮罩，color 模式使用顏色遮罩
+   */
+  getMaskRatio(cellIndex, mask) {
+    const { x: startX, y: startY, w: cellW, h: cellH } = this.getCellBounds(cellIndex);
+
+    let maskedCount = 0;
+    for (let y = startY; y < startY + cellH; y++) {
+      for (let x = startX; x < startX + cellW; x++) {
+        maskedCount += mask[y * this.width + x];
+      }
+    }
+
+    const pixelCount = cellW * cellH;
+    return pixelCount > 0 ? maskedCount / pixelCount : 0;
+  }
+
+  /**
+   * 更新指定格子的動作向量
+   * 以格子向外擴展半格的範圍計算變化像素重心，手在進入格子前的移動也能被追蹤
+   * color 模式改用追蹤顏色的重心
+   */
+  updateMotionVector(cellIndex) {
+    const mask = this.mode === 'color' ? this.colorMask : this.changedMask;
+    const { x, y, w, h } = this.getCellBounds(cellIndex);
+    const x0 = Math.max(0, x - Math.round(w / 2));
+    const y0 = Math.max(0, y - Math.round(h / 2));
+    const x1 = Math.min(this.width, x + w + Math.round(w / 2));
+    const y1 = Math.min(this.height, y + h + Math.round(h / 2));
+
+    let sumX = 0;
+    let sumY = 0;
+    let count = 0;
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        if (mask[py * this.width + px]) {
+          sumX += px;
+          sumY += py;
+          count++;
+        }
+      }
+    }
+
+    // 變化太少：重心不可靠，向量逐漸衰減
+    if (count < this.minCentroidPixels) {
+      this.centroids[cellIndex] = null;
+      this.motionX[cellIndex] *= 0.5;
+      this.motionY[cellIndex] *= 0.5;
+      return;
+    }
+
+    const centroid = { x: sumX / count, y: sumY / count };
+    const previous = this.centroids[cellIndex];
+    if (previous) {
+      this.motionX[cellIndex] = this.motionX[cellIndex] * 0.5 + (centroid.x - previous.x) * 0.5;
+      this.motionY[cellIndex] = this.motionY[cellIndex] * 0.5 + (centroid.y - previous.y) * 0.5;
+    }
+    this.centroids[cellIndex] = centroid;
+  }
+
+  /**
+   * 取得指定格子目前的主要動作方向 (偵測畫面已水平翻轉，左右與螢幕一致)
+   * @returns {string|null} 'up' | 'down' | 'left' | 'right'，位移太小時為 null
+   */
+  getDirection(cellIndex) {
+    const dx = this.motionX[cellIndex];
+    const dy = this.motionY[cellIndex];
+    if (Math.hypot(dx, dy) < this.minDirectionPx) return null;
+
+    if (Math.abs(dx) > Math.abs(dy)) {
+      return dx > 0 ? 'right' : 'left';
+    }
+    return dy > 0 ? 'down' : 'up';
+  }
+
   /**
    * 繪製 Debug 視覺化
    */
-  drawDebug(imageData, triggered) {
-    // 先繪製原始影像
+  drawDebug(frame, triggered, now) {
+    // 先繪製原始影像 (原始 RGBA 幀需先包成 ImageData)
+    const imageData = frame instanceof ImageData
+      ? frame
+      : new ImageData(new Uint8ClampedArray(frame.data), frame.width, frame.height);
     this.debugCtx.putImageData(imageData, 0, 0);
 
-    const cellW = this.width / this.cols;
-    const cellH = this.height / this.rows;
+    // pixel 模式標出變化的像素 (黃)，color 模式標出符合顏色的像素 (青)
+    if (this.mode === 'pixel' || this.mode === 'color') {
+      const mask = this.mode === 'pixel' ? this.changedMask : this.colorMask;
+      this.debugCtx.fillStyle = this.mode === 'pixel' ? 'rgba(255, 255, 0, 0.8)' : 'rgba(0, 255, 245, 0.9)';
+      for (let p = 0; p < mask.length; p++) {
+        if (mask[p]) {
+          this.debugCtx.fillRect(p % this.width, Math.floor(p / this.width), 1, 1);
+        }
+      }
+    }
 
-    // 繪製格線和觸發狀態
+    // 繪製區域框線和觸發狀態
     for (let i = 0; i < this.cellCount; i++) {
-      const col = i % this.cols;
-      const row = Math.floor(i / this.cols);
-      const x = col * cellW;
-      const y = row * cellH;
+      const { x, y, w: cellW, h: cellH } = this.getCellBounds(i);
 
-      // 格線
-      this.debugCtx.strokeStyle = 'rgba(0, 255, 245, 0.5)';
+      // 格線 (已觸發、等待重新待命的格子以粉紅色標示)
+      this.debugCtx.strokeStyle = this.armed[i] ? 'rgba(0, 255, 245, 0.5)' : 'rgba(255, 0, 255, 0.9)';
       this.debugCtx.lineWidth = 1;
       this.debugCtx.strokeRect(x, y, cellW, cellH);
 
       // 觸發標記
-      if (triggered.includes(i)) {
+      if (triggered.some(hit => hit.index === i)) {
         this.debugCtx.fillStyle = 'rgba(255, 0, 255, 0.5)';
         this.debugCtx.fillRect(x, y, cellW, cellH);
       }
 
-      // 亮度數值
+      // 數值：brightness 模式顯示平均亮度，pixel / color 模式顯示面積 %
+      const value = this.mode === 'brightness' ? this.previousBrightness[i] : this.activity[i];
       this.debugCtx.fillStyle = 'white';
       this.debugCtx.font = '8px monospace';
       this.debugCtx.fillText(
-        Math.round(this.previousBrightness[i]).toString(),
+        Math.round(value).toString(),
         x + 2,
         y + 10
       );
+
+      // 動作向量 (放大 3 倍畫出，方便觀察方向)
+      const dx = this.motionX[i];
+      const dy = this.motionY[i];
+      if (Math.hypot(dx, dy) >= this.minDirectionPx) {
+        const cx = x + cellW / 2;
+        const cy = y + cellH / 2;
+        this.debugCtx.strokeStyle = 'rgba(255, 255, 0, 0.9)';
+        this.debugCtx.beginPath();
+        this.debugCtx.moveTo(cx, cy);
+        this.debugCtx.lineTo(cx + dx * 3, cy + dy * 3);
+        this.debugCtx.stroke();
+      }
+
+      // 自動閾值：顯示目前的觸發閾值 (學習中顯示 --)
+      if (this.adaptive) {
+        const level = this.getTriggerLevel(i);
+        this.debugCtx.fillStyle = 'rgba(57, 255, 20, 0.9)';
+        this.debugCtx.fillText(
+          Number.isFinite(level) ? level.toFixed(1) : '--',
+          x + 2,
+          y + cellH - 2
+        );
+      }
+    }
+
+    // 全域光線變化：補償顯示 LIGHT±、略過顯示 LIGHT× (外框同步變色)
+    if (now < this.globalIndicator.until) {
+      const suppressed = this.globalIndicator.action === 'suppressed';
+      this.debugCtx.strokeStyle = suppressed ? 'rgba(255, 102, 0, 0.9)' : 'rgba(255, 255, 0, 0.9)';
+      this.debugCtx.lineWidth = 2;
+      this.debugCtx.strokeRect(1, 1, this.width - 2, this.height - 2);
+      this.debugCtx.fillStyle = this.debugCtx.strokeStyle;
+      this.debugCtx.fillText(suppressed ? 'LIGHT×' : 'LIGHT±', this.width / 2 - 12, this.height / 2 + 3);
     }
   }
 
@@ -217,11 +611,70 @@ export class MotionDetector {
     this.threshold = Math.max(1, Math.min(100, value));
   }
 
+  /**
+   * 設定重新待命的下閾值
+   */
+  setReleaseThreshold(value) {
+    this.releaseThreshold = Math.max(1, Math.min(100, value));
+  }
+
+  /**
+   * 設定偵測模式 (切換時重置狀態，避免兩種模式的數值混用)
+   */
+  setMode(mode) {
+    if (!DETECTION_MODES.includes(mode) || mode === this.mode) return;
+    this.mode = mode;
+    this.reset();
+  }
+
+  /**
+   * 開關自動閾值 (重新學習雜訊底線)
+   */
+  setAdaptive(enabled) {
+    this.adaptive = Boolean(enabled);
+    this.resetNoiseFloor();
+  }
+
+  /**
+   * 清除雜訊統計
+   */
+  resetNoiseFloor() {
+    this.noiseMean.fill(0);
+    this.noiseVariance.fill(0);
+    this.noiseSamples.fill(0);
+  }
+
+  /**
+   * 更換鼓墊區域 (區域數量可能改變，重建每格狀態)
+   */
+  setZones(zones) {
+    this.zones = zones;
+    this.cellCount = zones.length;
+    this.allocateCellState();
+    this.reset();
+  }
+
+  /**
+   * 設定 color 模式追蹤的顏色
+   * @param {{h: number, s: number, v: number}|null} color - HSV 顏色 (可用 rgbToHsv 轉換)，null 表示清除
+   */
+  setTargetColor(color) {
+    this.targetColor = color ? { h: color.h, s: color.s, v: color.v } : null;
+  }
+
+  /**
+   * 設定全域光線變化的處理方式：compensate (補償)、suppress (略過該幀)、off (不處理)
+   */
+  setLightingMode(mode) {
+    if (!LIGHTING_MODES.includes(mode)) return;
+    this.lightingMode = mode;
+  }
+
   /**
    * 設定冷卻時間
    */
   setCooldown(ms) {
-    this.cooldownMs = Math.max(50, Math.min(1000, ms));
+    this.cooldownMs = Math.max(0, Math.min(1000, ms));
   }
 
   /**
@@ -229,12 +682,18 @@ export class MotionDetector {
    */
   getParams() {
     return {
+      mode: this.mode,
       threshold: this.threshold,
+      releaseThreshold: this.releaseThreshold,
+      releaseHoldMs: this.releaseHoldMs,
+      pixelThreshold: this.pixelThreshold,
+      adaptive: this.adaptive,
+      lightingMode: this.lightingMode,
+      targetColor: this.targetColor,
       cooldownMs: this.cooldownMs,
       width: this.width,
       height: this.height,
-      cols: this.cols,
-      rows: this.rows
+      zoneCount: this.cellCount
     };
   }
 
@@ -244,5 +703,17 @@ export class MotionDetector {
   reset() {
     this.previousBrightness.fill(0);
     this.cooldowns.fill(0);
+    this.armed.fill(true);
+    this.releaseSince.fill(null);
+    this.hasPreviousFrame = false;
+    this.activity.fill(0);
+    this.globalIndicator = { action: null, until: 0 };
+    this.previousLuma = null;
+    this.changedMask.fill(0);
+    this.colorMask.fill(0);
+    this.centroids.fill(null);
+    this.motionX.fill(0);
+    this.motionY.fill(0);
+    this.resetNoiseFloor();
   }
 }
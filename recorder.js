@@ -0,0 +1,185 @@
+/**
+ * Neon Motion Drum - 演奏紀錄與重播
+ * 錄製模式記下每一次觸發 (鼓墊、音色、力度、方向、來源、高解析度時間)，
+ * 重播時依節拍時鐘 (clock.js) 的 lookahead 排程器在原本的時間重新觸發，可存成 / 讀取 JSON 分享
+ *
+ * 演奏紀錄 (session) 格式：
+ * {
+ *   version: 1,
+ *   layout: 'grid',      // 錄製時的鼓墊配置
+ *   bpm: 120,
+ *   duration: 12345.6,   // 錄製長度 (毫秒)
+ *   events: [{ t, pad, sound, velocity, direction, source, frequency }]
+ * }
+ * - t: 距離開始錄製的毫秒數 (performance.now()，含小數)，為實際發聲時間 (量化後)
+ * - source: 'motion' | 'click' | 'key' | 'midi'
+ */
+
+export const SESSION_VERSION = 1;
+
+// 開始重播時預留的時間 (秒)，讓第一個觸發能完整排程
+const START_DELAY = 0.05;
+
+export class PerformanceRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.startTime = 0;
+    this.events = [];
+  }
+
+  /**
+   * 開始錄製 (捨棄上一次的紀錄)
+   */
+  start(now = performance.now()) {
+    this.isRecording = true;
+    this.startTime = now;
+    this.events = [];
+  }
+
+  /**
+   * 記下一次觸發 (未錄製時忽略)
+   * @param {Object} hit - { pad, sound, velocity, direction, source, frequency }
+   * @param {number} now - 發聲時間 (performance.now() 的時間軸)
+   */
+  record(hit, now = performance.now()) {
+    if (!this.isRecording) return;
+
+    this.events.push({
+      t: now - this.startTime,
+      pad: hit.pad,
+      sound: hit.sound,
+      velocity: hit.velocity,
+      direction: hit.direction ?? null,
+      source: hit.source,
+      frequency: hit.frequency ?? null
+    });
+  }
+
+  /**
+   * 停止錄製
+   * @param {Object} info - 附加到紀錄的資訊 ({ layout, bpm })
+   * @returns {Object} 演奏紀錄
+   */
+  stop(info = {}, now = performance.now()) {
+    this.isRecording = false;
+    return {
+      version: SESSION_VERSION,
+      ...info,
+      duration: now - this.startTime,
+      events: [...this.events].sort((a, b) => a.t - b.t)
+    };
+  }
+}
+
+/**
+ * 將演奏紀錄轉成 JSON 文字
+ */
+export function serializeSession(session) {
+  return JSON.stringify(session);
+}
+
+/**
+ * 事件的力度與旋律音頻率是否可以播放 (力度 0-1，頻率為正數；沒有時用預設值)
+ */
+function isPlayable(event) {
+  const velocity = event.velocity ?? 1;
+  const frequency = event.frequency ?? null;
+  return Number.isFinite(velocity) && velocity >= 0 && velocity <= 1 &&
+    (frequency === null || (Number.isFinite(frequency) && frequency > 0));
+}
+
+/**
+ * 讀取 JSON 演奏紀錄，格式不符時拋出錯誤 (無法播放的事件略過)
+ * @param {string} text
+ * @returns {Object} 演奏紀錄 (events 依時間排序)
+ */
+export function parseSession(text) {
+  const session = JSON.parse(text);
+  if (!session || !Array.isArray(session.events)) {
+    throw new Error('不是有效的演奏紀錄');
+  }
+
+  const events = session.events
+    .filter(event => Number.isFinite(event.t) && typeof event.sound === 'string' && isPlayable(event))
+    .map(event => ({
+      t: event.t,
+      pad: Number.isInteger(event.pad) ? event.pad : null,
+      sound: event.sound,
+      velocity: event.velocity ?? 1,
+      direction: event.direction ?? null,
+      source: event.source || 'motion',
+      frequency: event.frequency ?? null
+    }))
+    .sort((a, b) => a.t - b.t);
+
+  const last = events.length > 0 ? events[events.length - 1].t : 0;
+  return {
+    version: session.version || SESSION_VERSION,
+    layout: session.layout || null,
+    bpm: session.bpm || null,
+    duration: Math.max(session.duration || 0, last),
+    events
+  };
+}
+
+export class SessionPlayer {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {TempoClock} clock - 提供 lookahead 排程器
+   */
+  constructor(context, clock) {
+    this.context = context;
+    this.session = null;
+    this.isPlaying = false;
+    this.startTime = 0;   // 重播開始的 AudioContext 時間
+    this.index = 0;       // 下一個要排程的事件
+
+    this.onEvent = null;  // (event, time) 以 time (AudioContext 時間) 重新觸發
+    this.onEnd = null;    // 重播結束
+
+    clock.addTickListener((horizon) => this.scheduleEvents(horizon));
+  }
+
+  /**
+   * 開始重播
+   * @param {Object} session - 演奏紀錄
+   */
+  play(session) {
+    this.session = session;
+    this.startTime = this.context.currentTime + START_DELAY;
+    this.index = 0;
+    this.isPlaying = true;
+    this.scheduleEvents(this.startTime);
+  }
+
+  stop() {
+    this.isPlaying = false;
+  }
+
+  /**
+   * 排程器回呼：交出 horizon 之前的事件；全部播完後呼叫 onEnd
+   */
+  scheduleEvents(horizon) {
+    if (!this.isPlaying) return;
+
+    const events = this.session.events;
+    while (this.index < events.length) {
+      const event = events[this.index];
+      const time = this.startTime + event.t / 1000;
+      if (time >= horizon) break;
+
+      if (this.onEvent) {
+        this.onEvent(event, time);
+      }
+      this.index++;
+    }
+
+    const endTime = this.startTime + this.session.duration / 1000;
+    if (this.index >= events.length && this.context.currentTime >= endTime) {
+      this.isPlaying = false;
+      if (this.onEnd) {
+        this.onEnd();
+      }
+    }
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Neon Motion Drum - 離線輸出 WAV
+ * 將一串有時間的觸發紀錄，以 OfflineAudioContext 重新經過相同的音色、聲道與效果鏈算出音訊，
+ * 不受即時播放的延遲或掉幀影響，再編碼成 16-bit PCM 或 32-bit float WAV
+ *
+ * 觸發紀錄格式：[{ time, sound, velocity, pad, frequency }]
+ * - time: 秒 (任意起點，輸出時以第一個觸發為開頭)
+ * - sound: 音色名稱；velocity: 力度 (0-1)；pad: 鼓墊 index (決定聲道，可省略)
+ * - frequency: 旋律模式的音高 (Hz，可省略)
+ */
+
+import { SynthDrums } from './audio.js';
+
+// 第一個觸發前保留的時間 (秒)，讓聲道與效果參數在開頭先到位
+const LEAD_IN = 0.1;
+
+// 最後一個觸發之後保留的尾音 (秒，另加殘響長度)
+const TAIL = 2;
+
+/**
+ * 離線算出觸發紀錄的音訊
+ * @param {SynthDrums} drums - 提供音色、聲道、效果設定的即時音效系統
+ * @param {Array<Object>} hits - 觸發紀錄
+ * @param {Object} options - { sampleRate }
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function renderHits(drums, hits, options = {}) {
+  if (hits.length === 0) {
+    throw new Error('沒有可輸出的觸發紀錄');
+  }
+
+  const sampleRate = options.sampleRate || 44100;
+  const config = drums.getConfig();
+  const sorted = [...hits].sort((a, b) => a.time - b.time);
+  const start = sorted[0].time;
+  const duration = LEAD_IN + (sorted[sorted.length - 1].time - start) + TAIL + config.effects.reverbDecay;
+
+  const context = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+  const offlineDrums = new SynthDrums();
+  await offlineDrums.init(context);
+  offlineDrums.applyConfig(config);
+
+  sorted.forEach(hit => {
+    offlineDrums.play(hit.sound, {
+      velocity: hit.velocity ?? 1,
+      pad: hit.pad ?? null,
+      time: LEAD_IN + hit.time - start,
+      frequency: hit.frequency ?? null
+    });
+  });
+
+  return context.startRendering();
+}
+
+/**
+ * 將 AudioBuffer 編碼成 WAV
+ * @param {AudioBuffer} buffer
+ * @param {Object} options - { bitDepth: 16 (PCM) 或 32 (float) }
+ * @returns {ArrayBuffer}
+ */
+export function encodeWav(buffer, { bitDepth = 16 } = {}) {
+  const isFloat = bitDepth === 32;
+  const bytesPerSample = bitDepth / 8;
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const dataSize = frames * channels * bytesPerSample;
+
+  const wav = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(wav);
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  // RIFF 標頭
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+
+  // fmt 區塊 (格式 1 = PCM，3 = IEEE float)
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, isFloat ? 3 : 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * bytesPerSample, true);
+  view.setUint16(32, channels * bytesPerSample, true);
+  view.setUint16(34, bitDepth, true);
+
+  // data 區塊 (各聲道交錯排列)
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channelData = [];
+  for (let c = 0; c < channels; c++) {
+    channelData.push(buffer.getChannelData(c));
+  }
+
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+      if (isFloat) {
+        view.setFloat32(offset, sample, true);
+      } else {
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return wav;
+}
+
+/**
+ * 離線算出觸發紀錄並編碼成 WAV Blob
+ * @param {SynthDrums} drums
+ * @param {Array<Object>} hits
+ * @param {Object} options - { bitDepth, sampleRate }
+ * @returns {Promise<Blob>}
+ */
+export async function renderToWav(drums, hits, options = {}) {
+  const buffer = await renderHits(drums, hits, options);
+  return new Blob([encodeWav(buffer, options)], { type: 'audio/wav' });
+}
@@ -0,0 +1,44 @@
+/**
+ * Neon Motion Drum - 音階
+ * 旋律模式用：把鼓墊依序對應到指定調性與音階的音
+ * 音高以 MIDI 音符編號表示 (60 = C4，69 = A4 = 440Hz)
+ */
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// 音階：相對於主音的半音數
+export const SCALES = {
+  major: { name: '大調', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  minor: { name: '小調', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  pentatonic: { name: '五聲', intervals: [0, 2, 4, 7, 9] },
+  dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] }
+};
+
+/**
+ * 取得音階第 degree 個音的 MIDI 編號 (超過一個八度時往上疊)
+ * @param {number} degree - 音階級數 (0 = 主音)
+ * @param {Object} options
+ * @param {number} options.key - 主音 (0 = C ... 11 = B)
+ * @param {string} options.scale - 音階名稱 (SCALES 的 key)
+ * @param {number} options.octave - 主音所在八度 (4 = C4 所在的八度)
+ */
+export function getScaleNote(degree, { key = 0, scale = 'major', octave = 4 } = {}) {
+  const intervals = (SCALES[scale] || SCALES.major).intervals;
+  const octaveOffset = Math.floor(degree / intervals.length);
+  const step = degree - octaveOffset * intervals.length;
+  return 12 * (octave + 1 + octaveOffset) + key + intervals[step];
+}
+
+/**
+ * MIDI 編號 → 頻率 (Hz)
+ */
+export function midiToFrequency(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * MIDI 編號 → 音名 (例如 60 → 'C4')
+ */
+export function midiToName(note) {
+  return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+}
@@ -4,13 +4,62 @@
  */
 
 import { SynthDrums } from './audio.js';
-import { MotionDetector } from './motion.js';
+import { MotionDetector, rgbToHsv } from './motion.js';
+import { ThreadedDetector } from './motion-thread.js';
+import { VideoSource } from './sources.js';
+import { ZONE_LAYOUTS, DEFAULT_LAYOUT, getLayoutZones } from './zones.js';
+import { VoiceEditor, restoreSavedVoices } from './voice-editor.js';
+import { MixerPanel } from './mixer.js';
+import { EffectsPanel } from './fx-panel.js';
+import { renderToWav } from './render.js';
+import { MelodyPanel, getPadNotes } from './melody-panel.js';
+import { midiToFrequency, midiToName } from './scales.js';
+import { MidiBridge } from './midi.js';
+import { MidiPanel } from './midi-panel.js';
+import { TempoClock } from './clock.js';
+import { Metronome } from './metronome.js';
+import { TempoPanel } from './tempo-panel.js';
+import { LoopStation } from './looper.js';
+import { LooperPanel } from './looper-panel.js';
+import { StepSequencer } from './sequencer.js';
+import { SequencerPanel } from './sequencer-panel.js';
+import { PerformanceRecorder, SessionPlayer, serializeSession, parseSession } from './recorder.js';
+import { RhythmGame, loadChart } from './game.js';
+import { GamePanel } from './game-panel.js';
+import { ReactionTrainer, TRAINER_LAYOUT } from './trainer.js';
+import { TrainerPanel } from './trainer-panel.js';
+
+// 匯出 WAV 保留的演奏長度 (秒)，更早的觸發會被捨棄
+const MAX_TAKE_SECONDS = 600;
+
+// 播放既有內容的觸發來源 (不再錄進演奏紀錄、loop 與音序器)
+const PLAYBACK_SOURCES = ['replay', 'loop', 'sequencer'];
 
 class NeonDrum {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Function} options.requestMIDIAccess - 取代 navigator.requestMIDIAccess (測試用 stub)
+   */
+  constructor(options = {}) {
     // 模組實例
     this.drums = null;
     this.detector = null;
+    this.voiceEditor = null;
+    this.mixer = null;
+    this.effectsPanel = null;
+    this.clock = null;
+    this.metronome = null;
+    this.tempoPanel = null;
+    this.recorder = new PerformanceRecorder();
+    this.player = null;
+    this.looper = null;
+    this.looperPanel = null;
+    this.sequencer = null;
+    this.sequencerPanel = null;
+    this.game = null;
+    this.gamePanel = null;
+    this.trainer = null;
+    this.trainerPanel = null;
 
     // DOM 元素
     this.startScreen = document.getElementById('start-screen');
@@ -18,30 +67,205 @@ class NeonDrum {
     this.gameContainer = document.getElementById('game-container');
     this.video = document.getElementById('webcam');
     this.debugCanvas = document.getElementById('debug-canvas');
-    this.cells = document.querySelectorAll('.cell');
+    this.gridOverlay = document.getElementById('grid-overlay');
+    this.cells = [];
     this.statusEl = document.getElementById('status');
 
     // 控制元素
+    this.layoutSelect = document.getElementById('layout-select');
+    this.modeSelect = document.getElementById('detect-mode');
+    this.lightingSelect = document.getElementById('lighting-mode');
+    this.colorPickBtn = document.getElementById('color-pick');
+    this.controlsEl = document.getElementById('controls');
     this.sensitivitySlider = document.getElementById('sensitivity');
     this.sensitivityValue = document.getElementById('sensitivity-value');
+    this.releaseSlider = document.getElementById('release');
+    this.releaseValue = document.getElementById('release-value');
     this.cooldownSlider = document.getElementById('cooldown');
     this.cooldownValue = document.getElementById('cooldown-value');
+    this.rateSelect = document.getElementById('detect-rate');
+    this.adaptiveToggle = document.getElementById('adaptive-toggle');
     this.debugToggle = document.getElementById('debug-toggle');
+    this.voiceToggle = document.getElementById('voice-toggle');
+    this.mixerToggle = document.getElementById('mixer-toggle');
+    this.fxToggle = document.getElementById('fx-toggle');
+    this.melodyToggle = document.getElementById('melody-toggle');
+    this.midiToggle = document.getElementById('midi-toggle');
+    this.tempoToggle = document.getElementById('tempo-toggle');
+    this.loopToggle = document.getElementById('loop-toggle');
+    this.seqToggle = document.getElementById('seq-toggle');
+    this.gameToggle = document.getElementById('game-toggle');
+    this.trainerToggle = document.getElementById('trainer-toggle');
+    this.wavFormatSelect = document.getElementById('wav-format');
+    this.exportWavBtn = document.getElementById('export-wav');
+    this.recordBtn = document.getElementById('record-toggle');
+    this.replayBtn = document.getElementById('replay-toggle');
+    this.saveSessionBtn = document.getElementById('session-save');
+    this.loadSessionBtn = document.getElementById('session-load');
+    this.sessionFileInput = document.getElementById('session-file');
+
+    // 設定面板 (同時只開一個)
+    this.voicePanel = document.getElementById('voice-panel');
+    this.mixerPanel = document.getElementById('mixer-panel');
+    this.fxPanel = document.getElementById('fx-panel');
+    this.melodyPanelEl = document.getElementById('melody-panel');
+    this.midiPanelEl = document.getElementById('midi-panel');
+    this.tempoPanelEl = document.getElementById('tempo-panel');
+    this.loopPanelEl = document.getElementById('loop-panel');
+    this.seqPanelEl = document.getElementById('seq-panel');
+    this.gamePanelEl = document.getElementById('game-panel');
+    this.trainerPanelEl = document.getElementById('trainer-panel');
+    this.panels = [
+      { panel: this.voicePanel, button: this.voiceToggle },
+      { panel: this.mixerPanel, button: this.mixerToggle },
+      { panel: this.fxPanel, button: this.fxToggle },
+      { panel: this.melodyPanelEl, button: this.melodyToggle },
+      { panel: this.midiPanelEl, button: this.midiToggle },
+      { panel: this.tempoPanelEl, button: this.tempoToggle },
+      { panel: this.loopPanelEl, button: this.loopToggle },
+      { panel: this.seqPanelEl, button: this.seqToggle },
+      { panel: this.gamePanelEl, button: this.gameToggle },
+      { panel: this.trainerPanelEl, button: this.trainerToggle }
+    ];
 
     // 狀態
     this.isRunning = false;
     this.animationId = null;
+    this.lastDetectTime = 0;  // 主執行緒偵測：上次偵測時間 (依偵測頻率節流)
+    this.isPickingColor = false;
+    this.colorSampler = null;  // 取色用的畫面來源 (與偵測器相同的裁切與翻轉)
+    this.isCountingIn = false;  // 狀態列正顯示預備拍倒數
 
-    // 格子對應音效
-    this.soundMap = [
-      'hihat', 'snare', 'crash',
-      'tom1', 'kick', 'tom2',
-      'clap', 'ride', 'synth'
-    ];
+    // 本次演奏的觸發紀錄 (匯出 WAV 用)：{ time (AudioContext 時間), sound, velocity, pad }
+    this.take = [];
+
+    // 最近一次錄製或讀取的演奏紀錄 (recorder.js)
+    this.session = null;
+
+    // 鼓墊區域與對應音效 (由 buildGrid 依區域設定更新)
+    this.zones = [];
+    this.soundMap = [];
+
+    // 旋律模式：每個鼓墊的 MIDI 音符 (null = 播原本的音色)
+    this.melodyPanel = new MelodyPanel(this.melodyPanelEl, {
+      onChange: () => this.updatePadNotes()
+    });
+    this.padNotes = [];
 
+    // MIDI：觸發時送出音符，收到的音符觸發鼓墊 (不會再送回 MIDI 輸出)
+    this.midi = new MidiBridge({ requestAccess: options.requestMIDIAccess });
+    this.midi.onNote = (index, velocity) => {
+      if (this.isRunning && index < this.zones.length) {
+        this.triggerCell(index, { velocity, source: 'midi' });
+      }
+    };
+    this.midiPanel = new MidiPanel(this.midiPanelEl, this.midi);
+
+    this.populateLayouts();
+    this.buildGrid(getLayoutZones(DEFAULT_LAYOUT));
     this.bindEvents();
   }
 
+  /**
+   * 填入鼓墊配置選項
+   */
+  populateLayouts() {
+    Object.entries(ZONE_LAYOUTS).forEach(([key, layout]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = layout.name;
+      option.selected = key === DEFAULT_LAYOUT;
+      this.layoutSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * 依區域設定建立鼓墊格子 (位置與偵測器使用相同的相對座標)
+   */
+  buildGrid(zones) {
+    // 格子重建後提示對不上鼓墊：結束進行中的節奏遊戲與反應訓練
+    if (this.game && this.game.isPlaying) {
+      this.gamePanel.stop();
+    }
+    if (this.trainer && this.trainer.isActive()) {
+      this.trainerPanel.stop();
+    }
+
+    this.zones = zones;
+    this.soundMap = zones.map(zone => zone.sound);
+    this.gridOverlay.replaceChildren();
+
+    this.cells = zones.map((zone, index) => {
+      const cell = document.createElement('div');
+      cell.className = 'cell';
+      cell.dataset.index = index;
+      cell.dataset.sound = zone.sound;
+
+      // 留 2px 間隙，讓相鄰格子的霓虹邊框不重疊
+      cell.style.left = `calc(${zone.x * 100}% + 2px)`;
+      cell.style.top = `calc(${zone.y * 100}% + 2px)`;
+      cell.style.width = `calc(${zone.w * 100}% - 4px)`;
+      cell.style.height = `calc(${zone.h * 100}% - 4px)`;
+
+      const label = document.createElement('span');
+      label.className = 'cell-label';
+      label.textContent = zone.label;
+      cell.appendChild(label);
+
+      // 手動點擊格子也能觸發音效
+      cell.addEventListener('click', () => {
+        this.triggerCell(index, { source: 'click' });
+      });
+
+      // 拖放音效檔到格子上，以樣本取代該格的音色；右鍵恢復合成音色
+      cell.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        cell.classList.add('drop-target');
+      });
+      cell.addEventListener('dragleave', () => {
+        cell.classList.remove('drop-target');
+      });
+      cell.addEventListener('drop', (e) => {
+        e.preventDefault();
+        cell.classList.remove('drop-target');
+        const file = e.dataTransfer.files[0];
+        if (file) {
+          this.assignSample(index, file);
+        }
+      });
+      cell.addEventListener('contextmenu', (e) => {
+        if (!this.drums || !this.drums.hasSample(zone.sound)) return;
+        e.preventDefault();
+        this.drums.clearSample(zone.sound);
+        this.updateSampleMarks();
+      });
+
+      this.gridOverlay.appendChild(cell);
+      return cell;
+    });
+
+    this.updateSampleMarks();
+    this.updatePadNotes();
+
+    if (this.voiceEditor) {
+      this.voiceEditor.setPads(zones);
+    }
+
+    if (this.mixer) {
+      this.mixer.setPads(zones, this.layoutSelect.value);
+    }
+
+    this.midiPanel.setPads(zones, this.layoutSelect.value);
+
+    if (this.sequencerPanel) {
+      this.sequencerPanel.setPads(zones, this.layoutSelect.value);
+    }
+
+    if (this.detector) {
+      this.detector.setZones(zones);
+    }
+  }
+
   /**
    * 綁定事件
    */
@@ -49,6 +273,37 @@ class NeonDrum {
     // 開始按鈕
     this.startBtn.addEventListener('click', () => this.start());
 
+    // 鼓墊配置切換
+    this.layoutSelect.addEventListener('change', (e) => {
+      this.buildGrid(getLayoutZones(e.target.value));
+    });
+
+    // 偵測模式切換
+    this.modeSelect.addEventListener('change', (e) => {
+      if (this.detector) {
+        this.detector.setMode(e.target.value);
+      }
+    });
+
+    // 取色：下一次點擊畫面時取樣該位置的顏色
+    this.colorPickBtn.addEventListener('click', () => {
+      this.setPickingColor(!this.isPickingColor);
+    });
+
+    // 取色模式下攔截點擊 (capture 階段，格子不會被觸發)
+    this.gameContainer.addEventListener('click', (e) => {
+      if (!this.isPickingColor || this.controlsEl.contains(e.target) || e.target.closest('.panel')) return;
+      e.stopPropagation();
+      this.pickColorAt(e.clientX, e.clientY);
+    }, true);
+
+    // 全域光線變化處理方式
+    this.lightingSelect.addEventListener('change', (e) => {
+      if (this.detector) {
+        this.detector.setLightingMode(e.target.value);
+      }
+    });
+
     // 靈敏度滑桿
     this.sensitivitySlider.addEventListener('input', (e) => {
       const value = parseInt(e.target.value);
@@ -58,6 +313,15 @@ class NeonDrum {
       }
     });
 
+    // 下閾值滑桿 (觸發後變化量低於此值才重新待命)
+    this.releaseSlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value);
+      this.releaseValue.textContent = value;
+      if (this.detector) {
+        this.detector.setReleaseThreshold(value);
+      }
+    });
+
     // 冷卻時間滑桿
     this.cooldownSlider.addEventListener('input', (e) => {
       const value = parseInt(e.target.value);
@@ -67,31 +331,62 @@ class NeonDrum {
       }
     });
 
+    // 自動閾值切換 (靈敏度滑桿改為標準差倍數)
+    this.adaptiveToggle.addEventListener('click', () => {
+      const enabled = this.adaptiveToggle.classList.toggle('active');
+      if (this.detector) {
+        this.detector.setAdaptive(enabled);
+      }
+      if (enabled) {
+        this.showStatus('自動閾值：學習環境雜訊中，請保持靜止...', false);
+        setTimeout(() => this.hideStatus(), 2000);
+      }
+    });
+
+    // 偵測頻率 (與畫面重繪頻率無關)
+    this.rateSelect.addEventListener('change', (e) => {
+      if (this.detector instanceof ThreadedDetector) {
+        this.detector.setRate(parseInt(e.target.value));
+      }
+    });
+
     // Debug 切換
     this.debugToggle.addEventListener('click', () => {
       this.debugCanvas.classList.toggle('hidden');
       this.debugToggle.classList.toggle('active');
     });
 
-    // 手動點擊格子也能觸發音效
-    this.cells.forEach((cell, index) => {
-      cell.addEventListener('click', () => {
-        this.triggerCell(index);
-      });
+    // 匯出 WAV
+    this.exportWavBtn.addEventListener('click', () => this.exportWav());
+
+    // 演奏紀錄：錄製、重播、存檔、開檔
+    this.recordBtn.addEventListener('click', () => this.toggleRecording());
+    this.replayBtn.addEventListener('click', () => this.toggleReplay());
+    this.saveSessionBtn.addEventListener('click', () => this.saveSession());
+    this.loadSessionBtn.addEventListener('click', () => this.sessionFileInput.click());
+    this.sessionFileInput.addEventListener('change', () => {
+      const file = this.sessionFileInput.files[0];
+      this.sessionFileInput.value = '';
+      if (file) {
+        this.loadSession(file);
+      }
+    });
+
+    // 設定面板
+    this.panels.forEach(({ panel, button }) => {
+      button.addEventListener('click', () => this.togglePanel(panel));
     });
 
-    // 鍵盤快捷鍵 (數字鍵 1-9)
+    // 鍵盤快捷鍵 (數字鍵 1-9 對應前 9 個鼓墊，0 對應第 10 個)
     document.addEventListener('keydown', (e) => {
       if (!this.isRunning) return;
+      if (!/^[0-9]$/.test(e.key)) return;
+      // 在面板輸入數值時不觸發
+      if (e.target.closest('input, select, textarea')) return;
 
-      const keyMap = {
-        '1': 0, '2': 1, '3': 2,
-        '4': 3, '5': 4, '6': 5,
-        '7': 6, '8': 7, '9': 8
-      };
-
-      if (keyMap.hasOwnProperty(e.key)) {
-        this.triggerCell(keyMap[e.key]);
+      const index = e.key === '0' ? 9 : parseInt(e.key) - 1;
+      if (index < this.zones.length) {
+        this.triggerCell(index, { source: 'key' });
       }
     });
   }
@@ -100,8 +395,11 @@ class NeonDrum {
    * 開始遊戲
    */
   async start() {
+    // 影片檔來源 (?video=clip.mp4)：用錄好的片段取代攝影機，方便重現偵測問題
+    const videoUrl = new URLSearchParams(window.location.search).get('video');
+
     // 瀏覽器相容性檢查
-    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    if (!videoUrl && (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia)) {
       this.showStatus('你的瀏覽器不支援攝影機功能，請使用 Chrome/Firefox/Safari', true);
       return;
     }
@@ -116,36 +414,97 @@ class NeonDrum {
       // 1. 初始化音效系統
       this.drums = new SynthDrums();
       await this.drums.init();
-
-      // 2. 請求攝影機權限
-      this.showStatus('請求攝影機權限...', false);
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          facingMode: 'user',
-          width: { ideal: 640 },
-          height: { ideal: 480 }
-        },
-        audio: false
+      restoreSavedVoices(this.drums);
+      this.voiceEditor = new VoiceEditor(this.voicePanel, this.drums, {
+        onAssign: (index, soundName) => this.assignSound(index, soundName)
+      });
+      this.voiceEditor.setPads(this.zones);
+      this.mixer = new MixerPanel(this.mixerPanel, this.drums);
+      this.mixer.setPads(this.zones, this.layoutSelect.value);
+      this.effectsPanel = new EffectsPanel(this.fxPanel, this.drums);
+      this.clock = new TempoClock(this.drums.audioContext);
+      this.clock.start();
+      this.metronome = new Metronome(this.drums.audioContext, this.clock);
+      this.metronome.onBeat = (beat) => this.pulseBeat(beat);
+      this.tempoPanel = new TempoPanel(this.tempoPanelEl, this.clock, this.drums, this.metronome);
+      this.player = new SessionPlayer(this.drums.audioContext, this.clock);
+      this.player.onEvent = (event, time) => this.playHit(event, time, 'replay');
+      this.player.onEnd = () => this.replayBtn.classList.remove('active');
+      this.looper = new LoopStation(this.clock, this.metronome);
+      this.looper.onEvent = (event, time) => this.playHit(event, time, 'loop');
+      this.looperPanel = new LooperPanel(this.loopPanelEl, this.looper);
+      this.sequencer = new StepSequencer(this.clock, this.metronome);
+      this.sequencer.onEvent = ({ pad, velocity }, time) => this.playStep(pad, velocity, time);
+      this.sequencerPanel = new SequencerPanel(this.seqPanelEl, this.sequencer);
+      this.sequencerPanel.setPads(this.zones, this.layoutSelect.value);
+      this.game = new RhythmGame(this.clock);
+      this.game.onBeat = (beat) => {
+        this.metronome.playClick(beat.time, beat.type);
+        this.pulseBeat(beat);
+      };
+      this.gamePanel = new GamePanel(this.gamePanelEl, this.game, {
+        overlay: this.gameContainer,
+        getCells: () => this.cells,
+        onBeforeStart: (chart) => this.prepareGame(chart)
+      });
+      this.trainer = new ReactionTrainer(this.drums.audioContext);
+      this.trainerPanel = new TrainerPanel(this.trainerPanelEl, this.trainer, {
+        overlay: this.gameContainer,
+        getCells: () => this.cells,
+        onBeforeStart: () => this.prepareTrainer()
       });
 
-      // 3. 設定影片串流
-      this.video.srcObject = stream;
+      // 曾經連接過 MIDI 時自動連接 (不等待權限詢問，避免卡住啟動)
+      this.midiPanel.restore();
+
+      // 音色包 (?kit=sounds/my-kit/kit.json)：載入失敗時維持合成音色，不中斷啟動
+      const kitUrl = new URLSearchParams(window.location.search).get('kit');
+      if (kitUrl) {
+        this.showStatus('載入音色包...', false);
+        await this.loadKit(kitUrl);
+      }
+
+      // 節奏遊戲譜面 (?chart=charts/my-song.json)：加入遊戲面板的譜面清單
+      const chartUrl = new URLSearchParams(window.location.search).get('chart');
+      if (chartUrl) {
+        try {
+          this.gamePanel.addChart(await loadChart(chartUrl));
+        } catch (error) {
+          console.warn('譜面載入失敗:', error);
+        }
+      }
+
+      // 2-3. 設定影片來源 (攝影機串流或影片檔)
+      if (videoUrl) {
+        this.video.src = videoUrl;
+        this.video.loop = true;
+      } else {
+        this.showStatus('請求攝影機權限...', false);
+        this.video.srcObject = await navigator.mediaDevices.getUserMedia({
+          video: {
+            facingMode: 'user',
+            width: { ideal: 640 },
+            height: { ideal: 480 }
+          },
+          audio: false
+        });
+      }
       await this.video.play();
 
-      // 4. 初始化動態偵測器
-      this.detector = new MotionDetector({
-        threshold: parseInt(this.sensitivitySlider.value),
-        cooldownMs: parseInt(this.cooldownSlider.value)
-      });
-      this.detector.init(this.video, this.debugCanvas);
+      // 4. 初始化動態偵測器 (優先使用 Worker)
+      await this.initDetector();
 
       // 5. 切換畫面
       this.startScreen.classList.add('hidden');
       this.gameContainer.classList.remove('hidden');
 
-      // 6. 開始偵測迴圈
+      // 6. 開始偵測 (Worker 由計時器驅動；主執行緒使用 requestAnimationFrame 迴圈)
       this.isRunning = true;
-      this.loop();
+      if (this.detector instanceof ThreadedDetector) {
+        this.detector.start();
+      } else {
+        this.loop();
+      }
 
       this.showStatus('準備就緒！揮動你的手！', false);
       setTimeout(() => this.hideStatus(), 2000);
@@ -159,6 +518,10 @@ class NeonDrum {
         this.video.srcObject.getTracks().forEach(track => track.stop());
         this.video.srcObject = null;
       }
+      if (this.clock) {
+        this.clock.stop();
+        this.clock = null;
+      }
       if (this.drums) {
         this.drums.dispose();
         this.drums = null;
@@ -167,47 +530,533 @@ class NeonDrum {
   }
 
   /**
-   * 主偵測迴圈
+   * 載入音色包 manifest，失敗時只顯示警告
    */
-  loop() {
-    if (!this.isRunning) return;
+  async loadKit(url) {
+    try {
+      const kit = await this.drums.loadKit(url);
+      if (kit.failed.length > 0) {
+        console.warn(`音色包 ${kit.name} 部分樣本載入失敗:`, kit.failed);
+      }
+    } catch (error) {
+      console.warn('音色包載入失敗，使用合成音色:', error);
+    }
+    this.updateSampleMarks();
+  }
+
+  /**
+   * 將拖放的音效檔指定給鼓墊的音色 (同音色的其他鼓墊一併套用)
+   */
+  async assignSample(index, file) {
+    if (!this.drums) return;
 
     try {
-      // 執行動態偵測
-      const triggered = this.detector.detect();
+      await this.drums.loadSample(this.soundMap[index], await file.arrayBuffer());
+      this.updateSampleMarks();
+      this.triggerCell(index);
+    } catch (error) {
+      console.error('樣本解碼失敗:', error);
+      this.showStatus(`無法讀取音效檔：${file.name}`, true);
+      setTimeout(() => this.hideStatus(), 2000);
+    }
+  }
+
+  /**
+   * 改變鼓墊的音色 (音色編輯器的「套用到鼓墊」)，切換配置後恢復預設
+   */
+  assignSound(index, soundName) {
+    this.zones[index].sound = soundName;
+    this.soundMap[index] = soundName;
+    this.cells[index].dataset.sound = soundName;
+    this.updateSampleMarks();
+    this.updatePadNotes();
+    this.voiceEditor.setPads(this.zones);
+    this.triggerCell(index);
+  }
 
-      // 觸發對應格子
-      triggered.forEach(index => {
-        this.triggerCell(index);
+  /**
+   * 加入觸發紀錄 (只保留最近 MAX_TAKE_SECONDS 秒)
+   */
+  recordTake(hit) {
+    this.take.push(hit);
+    while (this.take.length > 0 && hit.time - this.take[0].time > MAX_TAKE_SECONDS) {
+      this.take.shift();
+    }
+  }
+
+  /**
+   * 以離線 rendering 將本次演奏輸出成 WAV 並下載
+   */
+  async exportWav() {
+    if (!this.drums || this.take.length === 0) {
+      this.showStatus('還沒有演奏紀錄可以匯出', true);
+      setTimeout(() => this.hideStatus(), 2000);
+      return;
+    }
+
+    this.exportWavBtn.disabled = true;
+    this.showStatus('輸出 WAV 中...', false);
+
+    try {
+      const bitDepth = parseInt(this.wavFormatSelect.value);
+      const blob = await renderToWav(this.drums, this.take, { bitDepth });
+      this.downloadBlob(blob, `neon-drum-${Date.now()}.wav`);
+      this.showStatus('WAV 已匯出', false);
+    } catch (error) {
+      console.error('WAV 輸出失敗:', error);
+      this.showStatus('WAV 輸出失敗', true);
+    } finally {
+      this.exportWavBtn.disabled = false;
+      setTimeout(() => this.hideStatus(), 2000);
+    }
+  }
+
+  /**
+   * 開始 / 停止錄製演奏紀錄
+   */
+  toggleRecording() {
+    if (this.recorder.isRecording) {
+      this.session = this.recorder.stop({
+        layout: this.layoutSelect.value,
+        bpm: this.clock ? this.clock.getParams().bpm : null
       });
+      this.recordBtn.classList.remove('active');
+      this.showStatus(`已錄下 ${this.session.events.length} 個觸發`, false);
+      setTimeout(() => this.hideStatus(), 2000);
+    } else {
+      this.recorder.start();
+      this.recordBtn.classList.add('active');
+      this.showStatus('錄製中...', false);
+      setTimeout(() => this.hideStatus(), 1500);
+    }
+  }
+
+  /**
+   * 開始 / 停止重播演奏紀錄
+   */
+  toggleReplay() {
+    if (!this.player) return;
+
+    if (this.player.isPlaying) {
+      this.player.stop();
+      this.replayBtn.classList.remove('active');
+      return;
+    }
+
+    if (!this.session || this.session.events.length === 0) {
+      this.showStatus('還沒有演奏紀錄可以重播', true);
+      setTimeout(() => this.hideStatus(), 2000);
+      return;
+    }
+
+    this.player.play(this.session);
+    this.replayBtn.classList.add('active');
+  }
+
+  /**
+   * 將演奏紀錄存成 JSON 下載 (錄製中時先停止)
+   */
+  saveSession() {
+    if (this.recorder.isRecording) {
+      this.toggleRecording();
+    }
+    if (!this.session) {
+      this.showStatus('還沒有演奏紀錄可以存檔', true);
+      setTimeout(() => this.hideStatus(), 2000);
+      return;
+    }
+
+    const blob = new Blob([serializeSession(this.session)], { type: 'application/json' });
+    this.downloadBlob(blob, `neon-drum-session-${Date.now()}.json`);
+  }
+
+  /**
+   * 讀取 JSON 演奏紀錄，並切換到錄製時的鼓墊配置
+   */
+  async loadSession(file) {
+    try {
+      this.session = parseSession(await file.text());
     } catch (error) {
-      console.error('偵測迴圈錯誤:', error);
-      // 錯誤不中斷迴圈，繼續執行下一幀
+      console.error('演奏紀錄讀取失敗:', error);
+      this.showStatus(`無法讀取演奏紀錄：${file.name}`, true);
+      setTimeout(() => this.hideStatus(), 2000);
+      return;
+    }
+
+    this.switchLayout(this.session.layout);
+
+    this.showStatus(`已載入 ${this.session.events.length} 個觸發，按「重播」播放`, false);
+    setTimeout(() => this.hideStatus(), 2000);
+  }
+
+  /**
+   * 切換到指定的鼓墊配置 (不存在或已是目前配置時不動)
+   */
+  switchLayout(layout) {
+    if (layout && ZONE_LAYOUTS[layout] && layout !== this.layoutSelect.value) {
+      this.layoutSelect.value = layout;
+      this.buildGrid(getLayoutZones(layout));
+    }
+  }
+
+  /**
+   * 節奏遊戲開始前：切換到譜面的配置，停止節拍器、音序器與重播 (引導拍依譜面的 BPM)
+   */
+  prepareGame(chart) {
+    if (this.trainer.isActive()) {
+      this.trainerPanel.stop();
+    }
+    this.switchLayout(chart.layout);
+
+    if (this.metronome.isRunning) {
+      this.metronome.stop();
+      this.tempoPanel.render();
+    }
+    if (this.sequencer.isPlaying) {
+      this.sequencer.stop();
+      this.sequencerPanel.render();
+    }
+    if (this.player.isPlaying) {
+      this.player.stop();
+      this.replayBtn.classList.remove('active');
+    }
+  }
+
+  /**
+   * 反應訓練開始前：切換到 3×3 配置並停止節奏遊戲
+   */
+  prepareTrainer() {
+    if (this.game.isPlaying) {
+      this.gamePanel.stop();
+    }
+    this.switchLayout(TRAINER_LAYOUT);
+  }
+
+  /**
+   * 下載檔案
+   */
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * 開關設定面板 (開啟一個時關閉其他)
+   */
+  togglePanel(panel) {
+    this.panels.forEach(entry => {
+      const open = entry.panel === panel && entry.panel.classList.contains('hidden');
+      entry.panel.classList.toggle('hidden', !open);
+      entry.button.classList.toggle('active', open);
+    });
+  }
+
+  /**
+   * 依旋律設定重新計算每個鼓墊的音符，旋律鼓墊的標籤改為音名
+   */
+  updatePadNotes() {
+    this.padNotes = getPadNotes(this.zones, this.melodyPanel.getSettings());
+    this.cells.forEach((cell, index) => {
+      const note = this.padNotes[index];
+      const isMelodic = note !== null;
+      cell.querySelector('.cell-label').textContent = isMelodic ? midiToName(note) : this.zones[index].label;
+      cell.classList.toggle('melodic', isMelodic);
+    });
+  }
+
+  /**
+   * 標示已使用樣本的鼓墊
+   */
+  updateSampleMarks() {
+    this.cells.forEach((cell, index) => {
+      const hasSample = Boolean(this.drums && this.drums.hasSample(this.soundMap[index]));
+      cell.classList.toggle('has-sample', hasSample);
+    });
+  }
+
+  /**
+   * 建立動態偵測器
+   * 支援時在 Worker 中偵測 (網址加上 ?worker=0 可強制使用主執行緒，方便比較)
+   * Worker 無法啟動時退回主執行緒偵測
+   */
+  async initDetector() {
+    const options = {
+      zones: this.zones,
+      mode: this.modeSelect.value,
+      lightingMode: this.lightingSelect.value,
+      adaptive: this.adaptiveToggle.classList.contains('active'),
+      threshold: parseInt(this.sensitivitySlider.value),
+      releaseThreshold: parseInt(this.releaseSlider.value),
+      cooldownMs: parseInt(this.cooldownSlider.value),
+      fps: parseInt(this.rateSelect.value)
+    };
+
+    const workerDisabled = new URLSearchParams(window.location.search).get('worker') === '0';
+    let debugCanvas = this.debugCanvas;
+
+    if (ThreadedDetector.isSupported() && !workerDisabled) {
+      const detector = new ThreadedDetector(options);
+      detector.onHits = (hits) => this.handleHits(hits);
+      detector.onError = (error) => console.error('偵測 Worker 錯誤:', error);
+
+      try {
+        this.detector = await detector.init(this.video, this.debugCanvas);
+        return;
+      } catch (error) {
+        console.warn('Worker 偵測無法啟動，改用主執行緒:', error);
+        // debug canvas 已轉移給 Worker 的話，主執行緒無法再使用
+        if (detector.debugTransferred) {
+          debugCanvas = null;
+        }
+      }
+    }
+
+    this.detector = new MotionDetector(options);
+    this.detector.init(this.video, debugCanvas);
+  }
+
+  /**
+   * 主執行緒偵測迴圈 (Worker 無法使用時)
+   * 依偵測頻率節流，不必每次重繪都偵測
+   */
+  loop() {
+    if (!this.isRunning) return;
+
+    const now = performance.now();
+    const interval = 1000 / parseInt(this.rateSelect.value);
+
+    // 容許 2ms 誤差，避免 60fps 重繪時因時間抖動跳過一半的幀
+    if (now - this.lastDetectTime >= interval - 2) {
+      this.lastDetectTime = now;
+
+      try {
+        // 執行動態偵測
+        this.handleHits(this.detector.detect());
+      } catch (error) {
+        console.error('偵測迴圈錯誤:', error);
+        // 錯誤不中斷迴圈，繼續執行下一幀
+      }
     }
 
     // 繼續下一幀
     this.animationId = requestAnimationFrame(() => this.loop());
   }
 
+  /**
+   * 觸發偵測到的格子 (力度與方向依動作而定)
+   */
+  handleHits(hits) {
+    hits.forEach(hit => {
+      this.triggerCell(hit.index, { ...hit, source: 'motion' });
+    });
+  }
+
   /**
    * 觸發指定格子
+   * @param {number} index - 格子索引
+   * @param {Object} hit - 觸發資訊
+   * @param {number} hit.velocity - 力度 (0-1)，點擊與鍵盤觸發為最大力度
+   * @param {string|null} hit.direction - 揮動方向，對應區域的 articulations 音色
+   * @param {string} hit.source - 觸發來源 'motion' | 'click' | 'key' | 'midi'
    */
-  triggerCell(index) {
-    const cell = this.cells[index];
-    const soundName = this.soundMap[index];
+  triggerCell(index, { velocity = 1, direction = null, source = 'click' } = {}) {
+    const { soundName, frequency } = this.getSoundForHit(index, direction);
+    const hit = { sound: soundName, velocity, pad: index, frequency, direction };
+
+    // 節奏遊戲判定與反應訓練計時都以觸發當下為準 (量化前)
+    if (this.game && this.game.isPlaying) {
+      this.game.judgeHit(index, this.drums.audioContext.currentTime);
+    }
+    if (this.trainer) {
+      this.trainer.handleHit(index);
+    }
+
+    // 動作觸發依節拍量化 (延後到下一個格線位置)；點擊、鍵盤、MIDI 立即播放
+    if (this.clock && source === 'motion') {
+      const time = this.clock.quantize(this.drums.audioContext.currentTime);
+      this.clock.schedule(time, (scheduledTime) => this.playHit(hit, scheduledTime, source));
+    } else {
+      this.playHit(hit, this.drums ? this.drums.audioContext.currentTime : 0, source);
+    }
+  }
+
+  /**
+   * 在指定時間播放觸發 (音效、觸發紀錄、演奏紀錄、MIDI 輸出、閃光)
+   * @param {Object} hit - { sound, velocity, pad, frequency, direction }
+   * @param {number} time - AudioContext 時間
+   * @param {string} source - 觸發來源 (PLAYBACK_SOURCES 為播放既有內容，不再錄進紀錄、loop 與音序器)
+   */
+  playHit(hit, time, source) {
+    const delay = this.drums ? Math.max(0, time - this.drums.audioContext.currentTime) : 0;
 
     // 播放音效
     if (this.drums) {
-      this.drums.play(soundName);
+      this.drums.play(hit.sound, { velocity: hit.velocity, pad: hit.pad, time, frequency: hit.frequency });
+      this.recordTake({ time, sound: hit.sound, velocity: hit.velocity, pad: hit.pad, frequency: hit.frequency });
+    }
+
+    if (!PLAYBACK_SOURCES.includes(source)) {
+      this.recorder.record({ ...hit, source }, performance.now() + delay * 1000);
+      if (this.looper) {
+        this.looper.recordHit(hit, time);
+      }
+      if (this.sequencer && source === 'motion') {
+        this.sequencer.recordHit(hit, time);
+      }
+    }
+
+    // MIDI 輸出 (旋律鼓墊送出旋律音符；由 MIDI 輸入觸發的不再送出，避免回授)
+    if (source !== 'midi') {
+      this.midi.sendNote(hit.pad, hit.velocity, this.padNotes[hit.pad], delay);
+    }
+
+    // 視覺回饋 (量化延後時等到發聲再閃)
+    if (delay > 0) {
+      setTimeout(() => this.flashCell(hit.pad), delay * 1000);
+    } else {
+      this.flashCell(hit.pad);
     }
+  }
+
+  /**
+   * 節拍器 (與節奏遊戲引導拍) 的視覺提示：在點擊發聲時讓格線外框閃一下 (強拍較亮)，預備拍顯示倒數
+   * @param {Object} beat - Metronome.onBeat 的參數 { time, beat, bar, type, countIn }
+   */
+  pulseBeat({ time, bar, type, countIn }) {
+    const delay = Math.max(0, time - this.drums.audioContext.currentTime) * 1000;
+
+    setTimeout(() => {
+      if (!this.isRunning) return;
+
+      this.gridOverlay.classList.remove('beat', 'beat-downbeat');
+      void this.gridOverlay.offsetWidth;  // 重新觸發 CSS 動畫
+      this.gridOverlay.classList.add(type === 'downbeat' ? 'beat-downbeat' : 'beat');
+
+      if (countIn) {
+        this.isCountingIn = true;
+        this.showStatus(`預備 ${-bar}`, false);
+      } else if (this.isCountingIn) {
+        this.isCountingIn = false;
+        this.hideStatus();
+      }
+    }, delay);
+  }
+
+  /**
+   * 播放音序器的一步 (鼓墊目前的音色，旋律鼓墊播旋律音)
+   */
+  playStep(pad, velocity, time) {
+    if (pad >= this.zones.length) return;
+    const { soundName, frequency } = this.getSoundForHit(pad, null);
+    this.playHit({ sound: soundName, velocity, pad, frequency, direction: null }, time, 'sequencer');
+  }
+
+  /**
+   * 格子閃光 - 使用 animationend 事件確保與 CSS 動畫同步
+   */
+  flashCell(index) {
+    const cell = this.cells[index];
+    if (!cell) return;
 
-    // 視覺回饋 - 使用 animationend 事件確保與 CSS 動畫同步
     cell.classList.add('triggered');
     cell.addEventListener('animationend', () => {
       cell.classList.remove('triggered');
     }, { once: true });
   }
 
+  /**
+   * 進入 / 離開取色模式
+   */
+  setPickingColor(enabled) {
+    this.isPickingColor = enabled;
+    this.gameContainer.classList.toggle('picking', enabled);
+    this.colorPickBtn.classList.toggle('active', enabled);
+
+    if (enabled) {
+      this.showStatus('點擊畫面中要追蹤的顏色 (例如鼓棒上的螢光膠帶)', false);
+    } else {
+      this.hideStatus();
+    }
+  }
+
+  /**
+   * 取樣指定螢幕位置的顏色，設為 color 模式的追蹤顏色
+   * 使用與偵測器相同的座標 (相對於偵測畫面的比例，與鼓墊區域一致)
+   */
+  pickColorAt(clientX, clientY) {
+    this.setPickingColor(false);
+    if (!this.detector) return;
+
+    if (!this.colorSampler) {
+      this.colorSampler = new VideoSource(this.video);
+      this.colorSampler.attach(this.detector.width, this.detector.height);
+    }
+
+    const frame = this.colorSampler.readFrame();
+    if (!frame) return;
+
+    const rect = this.gameContainer.getBoundingClientRect();
+    const cx = Math.floor((clientX - rect.left) / rect.width * frame.width);
+    const cy = Math.floor((clientY - rect.top) / rect.height * frame.height);
+
+    // 取周圍 3×3 像素平均，降低雜訊
+    let r = 0, g = 0, b = 0, count = 0;
+    for (let y = Math.max(0, cy - 1); y <= Math.min(frame.height - 1, cy + 1); y++) {
+      for (let x = Math.max(0, cx - 1); x <= Math.min(frame.width - 1, cx + 1); x++) {
+        const idx = (y * frame.width + x) * 4;
+        r += frame.data[idx];
+        g += frame.data[idx + 1];
+        b += frame.data[idx + 2];
+        count++;
+      }
+    }
+    r = Math.round(r / count);
+    g = Math.round(g / count);
+    b = Math.round(b / count);
+
+    // 與偵測器相同的飽和度 / 明度下限，選到的顏色一定能被追蹤
+    const color = rgbToHsv(r, g, b);
+    if (color.s < this.detector.minSaturation || color.v < this.detector.minValue) {
+      this.showStatus('這個顏色太灰暗，請選擇鮮豔的顏色', true);
+      setTimeout(() => this.hideStatus(), 2000);
+      return;
+    }
+
+    this.detector.setTargetColor(color);
+    this.colorPickBtn.classList.add('picked');
+    this.colorPickBtn.style.borderLeftColor = `rgb(${r}, ${g}, ${b})`;
+
+    // 選色後自動切換到 color 模式
+    this.modeSelect.value = 'color';
+    this.detector.setMode('color');
+
+    this.showStatus('已設定追蹤顏色', false);
+    setTimeout(() => this.hideStatus(), 1500);
+  }
+
+  /**
+   * 取得格子要播放的音色與音高
+   * 旋律鼓墊回傳旋律音色與頻率；其他鼓墊依揮動方向選音色 (沒有對應的 articulation 時使用預設音色)
+   * @returns {{soundName: string, frequency: number|null}}
+   */
+  getSoundForHit(index, direction) {
+    // 旋律模式的鼓墊播旋律音色 (不使用方向音色)
+    const note = this.padNotes[index];
+    if (note !== null && note !== undefined) {
+      return { soundName: this.melodyPanel.getSettings().voice, frequency: midiToFrequency(note) };
+    }
+
+    const articulations = this.zones[index].articulations;
+    if (direction && articulations && articulations[direction]) {
+      return { soundName: articulations[direction], frequency: null };
+    }
+    return { soundName: this.soundMap[index], frequency: null };
+  }
+
   /**
    * 顯示狀態訊息
    */
@@ -251,12 +1100,64 @@ class NeonDrum {
       this.animationId = null;
     }
 
+    // 結束 Worker 偵測
+    if (this.detector instanceof ThreadedDetector) {
+      this.detector.stop();
+    }
+
     // 停止影片串流
     if (this.video.srcObject) {
       this.video.srcObject.getTracks().forEach(track => track.stop());
       this.video.srcObject = null;
     }
 
+    this.voiceEditor = null;
+    this.mixer = null;
+    this.effectsPanel = null;
+    this.tempoPanel = null;
+    this.take = [];
+
+    if (this.recorder.isRecording) {
+      this.toggleRecording();
+    }
+    if (this.player) {
+      this.player.stop();
+      this.player = null;
+      this.replayBtn.classList.remove('active');
+    }
+    if (this.looper) {
+      this.looper.clear();
+      this.looper = null;
+      this.looperPanel = null;
+    }
+    if (this.sequencer) {
+      this.sequencer.stop();
+      this.sequencer = null;
+      this.sequencerPanel = null;
+    }
+    if (this.gamePanel) {
+      this.gamePanel.dispose();
+      this.game = null;
+      this.gamePanel = null;
+    }
+    if (this.trainerPanel) {
+      this.trainerPanel.dispose();
+      this.trainer = null;
+      this.trainerPanel = null;
+    }
+
+    if (this.metronome) {
+      this.metronome.dispose();
+      this.metronome = null;
+    }
+    if (this.clock) {
+      this.clock.stop();
+      this.clock = null;
+    }
+
+    this.midi.disconnect();
+    this.midiPanel.render();
+
     // 清理音效系統
     if (this.drums) {
       this.drums.dispose();
@@ -0,0 +1,288 @@
+/**
+ * Neon Motion Drum - 音序器面板
+ * 每個鼓墊一列、每一步一格，以滑鼠或觸控點擊 / 拖曳編輯；pattern 管理與歌曲串接
+ * patterns 依鼓墊配置分別保存 (settings.js)
+ */
+
+import { STEP_COUNTS } from './sequencer.js';
+import { getSetting, setSetting } from './settings.js';
+
+export class SequencerPanel {
+  /**
+   * @param {HTMLElement} container - 面板容器
+   * @param {StepSequencer} sequencer - 步進音序器
+   */
+  constructor(container, sequencer) {
+    this.container = container;
+    this.sequencer = sequencer;
+
+    this.layoutKey = null;
+    this.zones = [];
+    this.stepCells = [];   // stepCells[row][step]
+    this.playhead = null;  // 目前標示的步
+    this.paintValue = null;  // 拖曳中要設定的力度 (null = 未拖曳)
+
+    this.sequencer.onStep = (patternIndex, step, time) => this.showPlayhead(patternIndex, step, time);
+    this.sequencer.onChange = () => {
+      this.save();
+      this.updateSteps();
+    };
+
+    // 放開滑鼠 / 手指時結束拖曳 (可能在面板外放開)
+    window.addEventListener('pointerup', () => {
+      this.paintValue = null;
+    });
+  }
+
+  /**
+   * 切換鼓墊配置：載入該配置保存的 patterns
+   * @param {Array<Object>} zones - 鼓墊區域
+   * @param {string} layoutKey - 配置名稱 (作為保存的 key)
+   */
+  setPads(zones, layoutKey) {
+    this.zones = zones;
+    this.layoutKey = layoutKey;
+
+    if (this.sequencer.isPlaying) {
+      this.sequencer.stop();
+    }
+    this.sequencer.setRows(zones.length);
+    this.sequencer.load(getSetting('sequencer', {})[layoutKey]);
+    this.render();
+  }
+
+  save() {
+    const saved = getSetting('sequencer', {});
+    saved[this.layoutKey] = this.sequencer.toJSON();
+    setSetting('sequencer', saved);
+  }
+
+  render() {
+    this.container.replaceChildren();
+    this.playhead = null;
+
+    const title = document.createElement('h3');
+    title.textContent = '音序器';
+    this.container.appendChild(title);
+
+    const pattern = this.sequencer.getPattern();
+
+    // 播放控制
+    const playBtn = this.createButton(this.sequencer.isPlaying ? '■ 停止' : '▶ 播放', () => {
+      if (this.sequencer.isPlaying) {
+        this.sequencer.stop();
+      } else {
+        this.sequencer.start();
+      }
+      this.render();
+    });
+    playBtn.classList.toggle('active', this.sequencer.isPlaying);
+
+    const captureBtn = this.createButton('寫入動作', () => {
+      this.sequencer.captureMotion = !this.sequencer.captureMotion;
+      captureBtn.classList.toggle('active', this.sequencer.captureMotion);
+    });
+    captureBtn.classList.toggle('active', this.sequencer.captureMotion);
+    captureBtn.title = '播放中的動作觸發寫進最接近的一步';
+
+    const stepsSelect = this.createSelect(
+      STEP_COUNTS.map(steps => [steps, `${steps} 步`]), pattern.steps, (value) => {
+        this.sequencer.setSteps(parseInt(value));
+        this.save();
+        this.render();
+      }
+    );
+
+    const transport = document.createElement('div');
+    transport.className = 'panel-row';
+    transport.append(playBtn, captureBtn, stepsSelect);
+    this.container.appendChild(transport);
+
+    // pattern 選擇與管理
+    const patternSelect = this.createSelect(
+      this.sequencer.patterns.map((_, index) => [index, `P${index + 1}`]), this.sequencer.current, (value) => {
+        this.sequencer.current = parseInt(value);
+        this.render();
+      }
+    );
+    const patternRow = this.createRow('Pattern', patternSelect);
+    patternRow.append(
+      this.createButton('新增', () => this.edit(() => this.sequencer.addPattern())),
+      this.createButton('複製', () => this.edit(() => this.sequencer.addPattern(true))),
+      this.createButton('刪除', () => this.edit(() => this.sequencer.removePattern()))
+    );
+    this.container.appendChild(patternRow);
+
+    this.container.appendChild(this.renderGrid(pattern));
+    this.container.appendChild(this.renderSong());
+  }
+
+  /**
+   * 步進格子
+   */
+  renderGrid(pattern) {
+    const grid = document.createElement('div');
+    grid.className = 'seq-grid';
+    grid.style.gridTemplateColumns = `4rem repeat(${pattern.steps}, 1fr)`;
+
+    this.stepCells = this.zones.map((zone, row) => {
+      const label = document.createElement('span');
+      label.className = 'seq-label';
+      label.textContent = zone.label;
+      grid.appendChild(label);
+
+      return Array.from({ length: pattern.steps }, (_, step) => {
+        const cell = document.createElement('div');
+        cell.className = 'seq-step';
+        cell.classList.toggle('beat-start', step % 4 === 0);
+        cell.dataset.row = row;
+        cell.dataset.step = step;
+        grid.appendChild(cell);
+        return cell;
+      });
+    });
+
+    // 按下時切換該格，拖曳經過的格子設成相同的狀態 (觸控時用 elementFromPoint 找出手指下的格子)
+    grid.addEventListener('pointerdown', (e) => {
+      const cell = e.target.closest('.seq-step');
+      if (!cell) return;
+      e.preventDefault();
+      const velocity = this.sequencer.getPattern().grid[cell.dataset.row][cell.dataset.step];
+      this.paintValue = velocity > 0 ? 0 : 1;
+      this.paintCell(cell);
+    });
+    grid.addEventListener('pointermove', (e) => {
+      if (this.paintValue === null) return;
+      const target = document.elementFromPoint(e.clientX, e.clientY);
+      const cell = target && target.closest('.seq-step');
+      if (cell && grid.contains(cell)) {
+        this.paintCell(cell);
+      }
+    });
+
+    this.updateSteps();
+    return grid;
+  }
+
+  paintCell(cell) {
+    const row = parseInt(cell.dataset.row);
+    const step = parseInt(cell.dataset.step);
+    if (this.sequencer.getPattern().grid[row][step] === this.paintValue) return;
+
+    this.sequencer.setStep(row, step, this.paintValue);
+    this.save();
+    this.updateSteps();
+  }
+
+  /**
+   * 依 pattern 內容更新格子 (力度低的格子較暗)
+   */
+  updateSteps() {
+    const pattern = this.sequencer.getPattern();
+    this.stepCells.forEach((cells, row) => {
+      cells.forEach((cell, step) => {
+        const velocity = pattern.grid[row] ? pattern.grid[row][step] : 0;
+        cell.classList.toggle('on', velocity > 0);
+        cell.style.opacity = velocity > 0 ? 0.4 + velocity * 0.6 : '';
+      });
+    });
+  }
+
+  /**
+   * 歌曲：pattern 的播放順序
+   */
+  renderSong() {
+    const section = document.createElement('div');
+
+    const heading = document.createElement('h4');
+    heading.textContent = '歌曲';
+    section.appendChild(heading);
+
+    const order = document.createElement('p');
+    order.className = 'panel-note';
+    order.textContent = this.sequencer.song.length > 0
+      ? this.sequencer.song.map(index => `P${index + 1}`).join(' → ')
+      : '尚未加入 pattern';
+    section.appendChild(order);
+
+    const songModeBtn = this.createButton('歌曲模式', () => {
+      this.sequencer.songMode = !this.sequencer.songMode;
+      songModeBtn.classList.toggle('active', this.sequencer.songMode);
+      this.save();
+    });
+    songModeBtn.classList.toggle('active', this.sequencer.songMode);
+    songModeBtn.title = '依序播放歌曲中的 pattern (關閉時重複播放編輯中的 pattern)';
+
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+    row.append(
+      songModeBtn,
+      this.createButton('加入', () => this.edit(() => this.sequencer.song.push(this.sequencer.current))),
+      this.createButton('移除', () => this.edit(() => this.sequencer.song.pop())),
+      this.createButton('清空', () => this.edit(() => {
+        this.sequencer.song = [];
+      }))
+    );
+    section.appendChild(row);
+    return section;
+  }
+
+  /**
+   * 修改 patterns 或歌曲後保存並重畫
+   */
+  edit(action) {
+    action();
+    this.save();
+    this.render();
+  }
+
+  /**
+   * 在步發聲時標示播放位置 (只標示編輯中的 pattern)
+   */
+  showPlayhead(patternIndex, step, time) {
+    const delay = Math.max(0, time - this.sequencer.clock.context.currentTime) * 1000;
+
+    setTimeout(() => {
+      if (this.playhead !== null) {
+        this.stepCells.forEach(cells => cells[this.playhead] && cells[this.playhead].classList.remove('playhead'));
+      }
+      this.playhead = patternIndex === this.sequencer.current ? step : null;
+      if (this.playhead !== null) {
+        this.stepCells.forEach(cells => cells[step] && cells[step].classList.add('playhead'));
+      }
+    }, delay);
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn-small';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * @param {Array<[value, text]>} entries
+   */
+  createSelect(entries, selected, onChange) {
+    const select = document.createElement('select');
+    entries.forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      option.selected = String(value) === String(selected);
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  createRow(labelText, control) {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    row.append(label, control);
+    return row;
+  }
+}
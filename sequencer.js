@@ -0,0 +1,265 @@
+/**
+ * Neon Motion Drum - 步進音序器
+ * 16 / 32 步的 pattern，每個鼓墊 (soundMap 的每一項) 一列，依節拍時鐘 (clock.js) 的 BPM 播放
+ * 每一步為十六分音符，奇數步套用時鐘的 swing；多個 pattern 可串成歌曲 (song) 依序播放
+ * 開啟「寫入動作」時，播放中的動作觸發會寫進最接近的那一步，可以先在空中比劃再手動修正
+ *
+ * pattern 格式：{ steps, grid }
+ * - steps: 16 或 32
+ * - grid[pad][step]: 力度 (0 = 不觸發，0-1)
+ */
+
+export const STEP_COUNTS = [16, 32];
+
+// 每一步的長度 (拍)
+const STEP_BEATS = 1 / 4;
+
+// 開始播放前預留的時間 (秒)
+const START_DELAY = 0.05;
+
+/**
+ * 建立空白 pattern
+ */
+export function createPattern(rows, steps = 16) {
+  return {
+    steps,
+    grid: Array.from({ length: rows }, () => new Array(steps).fill(0))
+  };
+}
+
+/**
+ * 整理外部載入的 pattern (設定檔)：補齊列數與步數，無效時回傳 null
+ */
+export function normalizePattern(pattern, rows) {
+  if (!pattern || !STEP_COUNTS.includes(pattern.steps) || !Array.isArray(pattern.grid)) return null;
+
+  return {
+    steps: pattern.steps,
+    grid: Array.from({ length: rows }, (_, row) => {
+      const saved = Array.isArray(pattern.grid[row]) ? pattern.grid[row] : [];
+      return Array.from({ length: pattern.steps }, (_, step) => {
+        const velocity = Number(saved[step]) || 0;
+        return Math.max(0, Math.min(1, velocity));
+      });
+    })
+  };
+}
+
+export class StepSequencer {
+  /**
+   * @param {TempoClock} clock - 節拍時鐘 (BPM、swing、排程器)
+   * @param {Metronome} metronome - 節拍器 (loop 播放中開始時對齊小節)
+   */
+  constructor(clock, metronome) {
+    this.clock = clock;
+    this.metronome = metronome;
+
+    this.rows = 0;
+    this.patterns = [];
+    this.current = 0;        // 編輯中的 pattern
+    this.song = [];          // 歌曲：pattern index 的順序
+    this.songMode = false;   // 播放歌曲 (否則重複播放編輯中的 pattern)
+    this.captureMotion = false;
+
+    this.isPlaying = false;
+    this.playing = 0;        // 播放中的 pattern
+    this.songPosition = 0;   // 播放中的歌曲位置
+    this.patternStartBeat = 0;
+    this.previous = null;    // 上一個 pattern { index, startBeat } (排程器已換到下一個，但可能還沒播完)
+    this.nextStep = 0;
+
+    this.onEvent = null;     // ({ pad, velocity }, time) 以 time (AudioContext 時間) 觸發
+    this.onStep = null;      // (patternIndex, step, time) 播放位置 (畫面游標)
+    this.onChange = null;    // pattern 內容改變 (寫入動作)
+
+    clock.addTickListener((horizon) => this.scheduleSteps(horizon));
+  }
+
+  /**
+   * 設定列數 (鼓墊數)：所有 pattern 補齊或截斷列數
+   */
+  setRows(rows) {
+    this.rows = rows;
+    this.patterns = this.patterns.map(pattern => normalizePattern(pattern, rows));
+    if (this.patterns.length === 0) {
+      this.patterns.push(createPattern(rows));
+    }
+  }
+
+  /**
+   * 載入保存的 patterns 與歌曲
+   */
+  load({ patterns = [], song = [], songMode = false } = {}) {
+    this.patterns = patterns.map(pattern => normalizePattern(pattern, this.rows)).filter(Boolean);
+    if (this.patterns.length === 0) {
+      this.patterns.push(createPattern(this.rows));
+    }
+    this.song = song.filter(index => Number.isInteger(index) && index >= 0 && index < this.patterns.length);
+    this.songMode = Boolean(songMode);
+    this.current = 0;
+  }
+
+  /**
+   * 保存用的資料
+   */
+  toJSON() {
+    return { patterns: this.patterns, song: this.song, songMode: this.songMode };
+  }
+
+  getPattern(index = this.current) {
+    return this.patterns[index];
+  }
+
+  /**
+   * 設定某一步的力度 (0 = 關閉)
+   */
+  setStep(row, step, velocity, index = this.current) {
+    const pattern = this.patterns[index];
+    if (!pattern || !pattern.grid[row] || step >= pattern.steps) return;
+    pattern.grid[row][step] = velocity;
+  }
+
+  /**
+   * 改變 pattern 的步數：16 → 32 時複製前 16 步，32 → 16 時保留前 16 步
+   */
+  setSteps(steps, index = this.current) {
+    const pattern = this.patterns[index];
+    if (!pattern || !STEP_COUNTS.includes(steps)) return;
+
+    pattern.grid = pattern.grid.map(row =>
+      Array.from({ length: steps }, (_, step) => row[step % pattern.steps])
+    );
+    pattern.steps = steps;
+  }
+
+  /**
+   * 新增 pattern (copy 為 true 時複製編輯中的 pattern)，回傳新的 index
+   */
+  addPattern(copy = false) {
+    const source = this.getPattern();
+    const pattern = copy
+      ? { steps: source.steps, grid: source.grid.map(row => [...row]) }
+      : createPattern(this.rows, source ? source.steps : 16);
+    this.patterns.push(pattern);
+    this.current = this.patterns.length - 1;
+    return this.current;
+  }
+
+  /**
+   * 刪除編輯中的 pattern (至少保留一個)，歌曲中的參照一併調整
+   */
+  removePattern() {
+    if (this.patterns.length <= 1) return;
+
+    const removed = this.current;
+    this.patterns.splice(removed, 1);
+    this.song = this.song
+      .filter(index => index !== removed)
+      .map(index => index > removed ? index - 1 : index);
+    this.current = Math.min(removed, this.patterns.length - 1);
+    this.playing = Math.min(this.playing, this.patterns.length - 1);
+    this.previous = null;
+  }
+
+  /**
+   * 開始播放：時鐘格線沒被鎖住時以現在為第 0 拍，否則 (loop 播放中) 從下一個小節開始
+   */
+  start() {
+    const beatsPerBar = this.metronome.getBeatsPerBar();
+    const time = this.clock.context.currentTime + START_DELAY;
+
+    if (this.clock.isLocked()) {
+      this.patternStartBeat = Math.ceil(this.clock.getBeatPosition(time) / beatsPerBar) * beatsPerBar;
+    } else {
+      this.clock.start(time);
+      this.patternStartBeat = 0;
+    }
+    this.clock.lock(this);
+
+    this.songPosition = 0;
+    this.previous = null;
+    this.playing = this.songMode && this.song.length > 0 ? this.song[0] : this.current;
+    this.nextStep = 0;
+    this.isPlaying = true;
+  }
+
+  stop() {
+    this.isPlaying = false;
+    this.clock.unlock(this);
+  }
+
+  /**
+   * 排程器回呼：排入 horizon 之前的所有步
+   */
+  scheduleSteps(horizon) {
+    if (!this.isPlaying) return;
+
+    const stepDuration = STEP_BEATS * this.clock.getBeatDuration();
+    const swing = this.clock.getParams().swing;
+
+    for (;;) {
+      const pattern = this.patterns[this.playing];
+      const beat = this.patternStartBeat + this.nextStep * STEP_BEATS;
+      const time = this.clock.getBeatTime(beat) + (this.nextStep % 2 === 1 ? swing * stepDuration : 0);
+      if (time >= horizon) break;
+
+      if (time >= this.clock.context.currentTime) {
+        pattern.grid.forEach((row, pad) => {
+          if (row[this.nextStep] > 0 && this.onEvent) {
+            this.onEvent({ pad, velocity: row[this.nextStep] }, time);
+          }
+        });
+        if (this.onStep) {
+          this.onStep(this.playing, this.nextStep, time);
+        }
+      }
+
+      this.nextStep++;
+      if (this.nextStep >= pattern.steps) {
+        this.advancePattern(pattern);
+      }
+    }
+  }
+
+  /**
+   * 播完一個 pattern：歌曲模式換下一個，否則重複 (期間切換編輯的 pattern 時換成新的)
+   */
+  advancePattern(pattern) {
+    this.previous = { index: this.playing, startBeat: this.patternStartBeat };
+    this.patternStartBeat += pattern.steps * STEP_BEATS;
+    this.nextStep = 0;
+
+    if (this.songMode && this.song.length > 0) {
+      this.songPosition = (this.songPosition + 1) % this.song.length;
+      this.playing = this.song[this.songPosition];
+    } else {
+      this.playing = this.current;
+    }
+  }
+
+  /**
+   * 播放中把動作觸發寫進該時間所在 pattern 最接近的一步
+   * 排程器會提早換到下一個 pattern，落在換 pattern 之前的觸發寫回上一個 pattern
+   * @param {Object} hit - { pad, velocity }
+   * @param {number} time - 發聲時間 (AudioContext 時間)
+   */
+  recordHit(hit, time) {
+    if (!this.isPlaying || !this.captureMotion) return;
+
+    const beat = this.clock.getBeatPosition(time);
+    let index = this.playing;
+    let position = Math.round((beat - this.patternStartBeat) / STEP_BEATS);
+    if (position < 0 && this.previous) {
+      index = this.previous.index;
+      position = Math.round((beat - this.previous.startBeat) / STEP_BEATS);
+    }
+
+    const pattern = this.patterns[index];
+    const step = ((position % pattern.steps) + pattern.steps) % pattern.steps;
+
+    this.setStep(hit.pad, step, hit.velocity, index);
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Neon Motion Drum - 設定儲存
+ * 以 localStorage 保存使用者設定 (自訂音色等)，所有設定存在同一個 JSON 物件
+ * 無法使用 localStorage 時 (隱私模式、儲存空間已滿) 只保留在記憶體中，不影響操作
+ */
+
+const STORAGE_KEY = 'neon-drum-settings';
+
+let cache = null;
+
+function load() {
+  if (cache) return cache;
+
+  try {
+    cache = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    cache = {};
+  }
+  return cache;
+}
+
+/**
+ * 讀取設定
+ * @param {string} key - 設定名稱
+ * @param {*} fallback - 沒有設定時的預設值
+ */
+export function getSetting(key, fallback = null) {
+  const value = load()[key];
+  return value === undefined ? fallback : value;
+}
+
+/**
+ * 寫入設定 (立即保存)
+ */
+export function setSetting(key, value) {
+  load()[key] = value;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(cache));
+  } catch (error) {
+    console.warn('設定無法保存:', error);
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * Neon Motion Drum - 偵測畫面來源
+ * 讓 MotionDetector 可以分析 webcam 以外的畫面：影片檔、圖片序列、canvas、原始 RGBA 資料
+ *
+ * 每個來源都實作：
+ * - attach(width, height): 由偵測器呼叫，告知要輸出的偵測解析度
+ * - readFrame(): 回傳 { data, width, height } (RGBA，尺寸等於偵測解析度)，本幀無資料時回傳 null
+ *
+ * ImageDataSource 只使用純 JS 運算，不需要 DOM，可在 Node 或 Worker 中對錄製/合成片段跑偵測
+ */
+
+/**
+ * 建立繪圖用 canvas (沒有 document 時改用 OffscreenCanvas，例如在 Worker 中)
+ */
+function createCanvas(width, height) {
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  return new OffscreenCanvas(width, height);
+}
+
+/**
+ * 計算模擬 object-fit: cover 的來源裁切區域 (保持比例、置中裁切)
+ */
+export function getCoverCrop(srcWidth, srcHeight, width, height) {
+  const srcRatio = srcWidth / srcHeight;
+  const dstRatio = width / height;
+
+  if (srcRatio > dstRatio) {
+    // 來源較寬，左右裁切
+    const sw = srcHeight * dstRatio;
+    return { sx: (srcWidth - sw) / 2, sy: 0, sw, sh: srcHeight };
+  }
+
+  // 來源較高，上下裁切
+  const sh = srcWidth / dstRatio;
+  return { sx: 0, sy: (srcHeight - sh) / 2, sw: srcWidth, sh };
+}
+
+/**
+ * 可用 drawImage 繪製的來源 (video / canvas / image / ImageBitmap) 的共用邏輯
+ * 繪製到偵測解析度的小 canvas，模擬 object-fit: cover 裁切並可水平翻轉
+ */
+export class DrawableSource {
+  constructor(options = {}) {
+    this.mirror = options.mirror ?? false;
+    this.canvas = null;
+    this.ctx = null;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  attach(width, height) {
+    this.width = width;
+    this.height = height;
+    this.canvas = createCanvas(width, height);
+    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  /**
+   * 繪製指定影像並取得像素資料
+   * 使用 try-catch 保護，某些瀏覽器 (Safari) 可能拋出 InvalidStateError
+   */
+  drawFrame(image, srcWidth, srcHeight) {
+    if (!this.ctx || !srcWidth || !srcHeight) return null;
+
+    const { sx, sy, sw, sh } = getCoverCrop(srcWidth, srcHeight, this.width, this.height);
+
+    try {
+      this.ctx.save();
+      if (this.mirror) {
+        this.ctx.scale(-1, 1);
+      }
+      // 使用 9 參數版本的 drawImage: (image, sx, sy, sw, sh, dx, dy, dw, dh)
+      // 只繪製來源的可見區域（模擬 object-fit: cover）
+      this.ctx.drawImage(
+        image,
+        sx, sy, sw, sh,           // 來源區域（裁切後）
+        this.mirror ? -this.width : 0, 0, this.width, this.height  // 目標區域
+      );
+      this.ctx.restore();
+
+      return this.ctx.getImageData(0, 0, this.width, this.height);
+    } catch (error) {
+      // 來源尚未準備好或被中斷，靜默跳過這一幀
+      this.ctx.restore();
+      return null;
+    }
+  }
+}
+
+/**
+ * <video> 來源：webcam 串流或影片檔
+ * webcam 預設水平翻轉 (與畫面上的鏡像顯示一致)
+ */
+export class VideoSource extends DrawableSource {
+  constructor(video, options = {}) {
+    super({ mirror: true, ...options });
+    this.video = video;
+  }
+
+  readFrame() {
+    // 使用常數檢查，確保 video 已有足夠資料可繪製
+    if (this.video.readyState < this.video.HAVE_CURRENT_DATA) return null;
+    return this.drawFrame(this.video, this.video.videoWidth, this.video.videoHeight);
+  }
+}
+
+/**
+ * Canvas / ImageBitmap / <img> 來源：每次讀取目前的內容
+ */
+export class CanvasSource extends DrawableSource {
+  constructor(image, options = {}) {
+    super(options);
+    this.image = image;
+  }
+
+  readFrame() {
+    const width = this.image.naturalWidth || this.image.width;
+    const height = this.image.naturalHeight || this.image.height;
+    return this.drawFrame(this.image, width, height);
+  }
+}
+
+/**
+ * 圖片序列來源：每次讀取前進一張，loop 為 false 時播完回傳 null
+ */
+export class ImageSequenceSource extends DrawableSource {
+  constructor(images, options = {}) {
+    super(options);
+    this.images = images;
+    this.loop = options.loop ?? false;
+    this.position = 0;
+  }
+
+  readFrame() {
+    if (this.position >= this.images.length) {
+      if (!this.loop || this.images.length === 0) return null;
+      this.position = 0;
+    }
+
+    const image = this.images[this.position++];
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    return this.drawFrame(image, width, height);
+  }
+
+  /**
+   * 回到第一張
+   */
+  rewind() {
+    this.position = 0;
+  }
+}
+
+/**
+ * ImageBitmap 推送來源：由外部 push() 最新的一幀 (例如主執行緒傳到 Worker 的 webcam 畫面)
+ * 讀取後即釋放 bitmap，沒有新幀時回傳 null
+ */
+export class BitmapSource extends DrawableSource {
+  constructor(options = {}) {
+    super(options);
+    this.bitmap = null;
+  }
+
+  /**
+   * 換成最新的一幀 (尚未讀取的舊幀直接釋放)
+   */
+  push(bitmap) {
+    if (this.bitmap) {
+      this.bitmap.close();
+    }
+    this.bitmap = bitmap;
+  }
+
+  readFrame() {
+    if (!this.bitmap) return null;
+
+    const bitmap = this.bitmap;
+    this.bitmap = null;
+    const frame = this.drawFrame(bitmap, bitmap.width, bitmap.height);
+    bitmap.close();
+    return frame;
+  }
+}
+
+/**
+ * 原始 RGBA 來源 (ImageData 或 { data, width, height })，不需要 DOM
+ * 可預先給一組幀，也可以用 push() 逐幀餵入；尺寸與偵測解析度不同時以最近鄰取樣縮放 (cover 裁切)
+ */
+export class ImageDataSource {
+  constructor(frames = [], options = {}) {
+    this.frames = Array.isArray(frames) ? [...frames] : [frames];
+    this.mirror = options.mirror ?? false;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  attach(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * 加入一幀到佇列尾端
+   */
+  push(frame) {
+    this.frames.push(frame);
+  }
+
+  readFrame() {
+    const frame = this.frames.shift();
+    if (!frame) return null;
+
+    if (frame.width === this.width && frame.height === this.height && !this.mirror) {
+      return frame;
+    }
+    return this.resample(frame);
+  }
+
+  /**
+   * 以最近鄰取樣縮放到偵測解析度 (模擬 object-fit: cover，可水平翻轉)
+   */
+  resample(frame) {
+    const { sx, sy, sw, sh } = getCoverCrop(frame.width, frame.height, this.width, this.height);
+    const data = new Uint8ClampedArray(this.width * this.height * 4);
+
+    for (let y = 0; y < this.height; y++) {
+      const srcY = Math.min(frame.height - 1, Math.floor(sy + (y + 0.5) * sh / this.height));
+      for (let x = 0; x < this.width; x++) {
+        const dstX = this.mirror ? this.width - 1 - x : x;
+        const srcX = Math.min(frame.width - 1, Math.floor(sx + (x + 0.5) * sw / this.width));
+        const src = (srcY * frame.width + srcX) * 4;
+        const dst = (y * this.width + dstX) * 4;
+        data[dst] = frame.data[src];
+        data[dst + 1] = frame.data[src + 1];
+        data[dst + 2] = frame.data[src + 2];
+        data[dst + 3] = frame.data[src + 3];
+      }
+    }
+
+    return { data, width: this.width, height: this.height };
+  }
+}
+
+/**
+ * 依輸入類型建立對應的畫面來源
+ * - 已實作 readFrame() 的物件：直接使用
+ * - <video>：VideoSource
+ * - 陣列：空陣列或元素為 RGBA 資料時用 ImageDataSource (之後以 push() 送入幀)，否則視為圖片序列
+ * - ImageData / { data, width, height }：ImageDataSource
+ * - 其他可繪製物件 (canvas / OffscreenCanvas / <img> / ImageBitmap)：CanvasSource
+ */
+export function createFrameSource(input, options = {}) {
+  if (typeof input.readFrame === 'function') return input;
+
+  if (typeof HTMLVideoElement !== 'undefined' && input instanceof HTMLVideoElement) {
+    return new VideoSource(input, options);
+  }
+
+  const isRawFrame = frame => frame && frame.data && typeof frame.width === 'number';
+
+  if (Array.isArray(input)) {
+    return input.length === 0 || isRawFrame(input[0])
+      ? new ImageDataSource(input, options)
+      : new ImageSequenceSource(input, options);
+  }
+
+  if (isRawFrame(input)) {
+    return new ImageDataSource([input], options);
+  }
+
+  return new CanvasSource(input, options);
+}
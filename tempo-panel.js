@@ -0,0 +1,159 @@
+/**
+ * Neon Motion Drum - 節拍面板
+ * 調整節拍時鐘 (clock.js) 的 BPM、swing 與量化設定，以及節拍器 (metronome.js)，修改即時生效並保存到設定
+ * BPM 同時作為延遲效果「同步節拍」的速度
+ */
+
+import { GRID_DIVISIONS } from './clock.js';
+import { TIME_SIGNATURES } from './metronome.js';
+import { getSetting, setSetting } from './settings.js';
+
+// 面板欄位：數值欄位為滑桿，options 欄位為選單 (numeric 時轉成數字)，toggle 欄位為開關
+// target 為 'metronome' 的欄位調整節拍器，其他調整節拍時鐘
+const FIELDS = [
+  { key: 'bpm', label: 'BPM', min: 40, max: 240, step: 1 },
+  { section: '量化' },
+  { key: 'quantize', label: '量化動作', toggle: true },
+  { key: 'grid', label: '格線', options: Object.keys(GRID_DIVISIONS) },
+  { key: 'strength', label: '強度', min: 0, max: 1, step: 0.05 },
+  { key: 'swing', label: 'Swing', min: 0, max: 0.5, step: 0.05 },
+  { section: '節拍器' },
+  { key: 'running', label: '開關', toggle: true, target: 'metronome' },
+  { key: 'signature', label: '拍號', options: Object.keys(TIME_SIGNATURES), target: 'metronome' },
+  { key: 'countIn', label: '預備拍', options: [0, 1, 2], numeric: true, target: 'metronome' },
+  { key: 'volume', label: '音量', min: 0, max: 1, step: 0.05, target: 'metronome' }
+];
+
+export class TempoPanel {
+  /**
+   * @param {HTMLElement} container - 面板容器
+   * @param {TempoClock} clock - 節拍時鐘
+   * @param {SynthDrums} drums - 音效系統 (延遲同步的 BPM)
+   * @param {Metronome} metronome - 節拍器
+   */
+  constructor(container, clock, drums, metronome) {
+    this.container = container;
+    this.clock = clock;
+    this.drums = drums;
+    this.metronome = metronome;
+
+    // 套用保存的節拍與節拍器設定 (節拍器開關不保存，每次啟動為關閉)
+    this.clock.set(getSetting('tempo', {}));
+    this.metronome.set(getSetting('metronome', {}));
+    this.drums.setEffects({ bpm: this.clock.getParams().bpm });
+    this.render();
+  }
+
+  /**
+   * 更新參數並保存
+   */
+  update(patch) {
+    this.clock.set(patch);
+    if (patch.bpm !== undefined) {
+      this.drums.setEffects({ bpm: this.clock.getParams().bpm });
+    }
+    setSetting('tempo', this.clock.getParams());
+  }
+
+  /**
+   * 更新節拍器：running 開始 / 停止，其他參數保存
+   */
+  updateMetronome(patch) {
+    if (patch.running !== undefined) {
+      if (patch.running) {
+        this.metronome.start();
+      } else {
+        this.metronome.stop();
+      }
+      return;
+    }
+
+    this.metronome.set(patch);
+    setSetting('metronome', this.metronome.getParams());
+  }
+
+  render() {
+    this.container.replaceChildren();
+
+    const title = document.createElement('h3');
+    title.textContent = '節拍';
+    this.container.appendChild(title);
+
+    const params = this.clock.getParams();
+    const metronomeParams = { ...this.metronome.getParams(), running: this.metronome.isRunning };
+
+    FIELDS.forEach(field => {
+      if (field.section) {
+        const heading = document.createElement('h4');
+        heading.textContent = field.section;
+        this.container.appendChild(heading);
+        return;
+      }
+
+      const row = document.createElement('div');
+      row.className = 'panel-row';
+
+      const label = document.createElement('label');
+      label.textContent = field.label;
+      row.appendChild(label);
+
+      const value = field.target === 'metronome' ? metronomeParams[field.key] : params[field.key];
+      row.appendChild(this.createControl(field, value));
+      this.container.appendChild(row);
+    });
+  }
+
+  createControl(field, value) {
+    const update = (patch) => field.target === 'metronome' ? this.updateMetronome(patch) : this.update(patch);
+
+    if (field.toggle) {
+      const button = document.createElement('button');
+      button.className = 'btn-small';
+      button.textContent = 'ON';
+      button.classList.toggle('active', value);
+      button.addEventListener('click', () => {
+        const enabled = !button.classList.contains('active');
+        button.classList.toggle('active', enabled);
+        update({ [field.key]: enabled });
+      });
+      return button;
+    }
+
+    if (field.options) {
+      const select = document.createElement('select');
+      field.options.forEach(optionValue => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionValue;
+        option.selected = String(optionValue) === String(value);
+        select.appendChild(option);
+      });
+      select.addEventListener('change', () => {
+        update({ [field.key]: field.numeric ? parseFloat(select.value) : select.value });
+      });
+      return select;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.step;
+    input.value = value;
+
+    const display = document.createElement('span');
+    display.className = 'panel-value';
+    display.textContent = value;
+
+    input.addEventListener('input', () => {
+      const number = parseFloat(input.value);
+      display.textContent = number;
+      update({ [field.key]: number });
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'panel-slider';
+    wrapper.append(input, display);
+    return wrapper;
+  }
+}
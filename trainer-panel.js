@@ -0,0 +1,337 @@
+/**
+ * Neon Motion Drum - 反應訓練面板
+ * 設定提示方式、回合數與時間並開始 / 停止；訓練中標示要打的格子，畫面上方顯示回合、倒數、提示與連擊，
+ * 結束後顯示整體與每個區域的命中率、平均反應時間
+ * 設定保存到 settings.js
+ */
+
+import { TRAINER_MODES, CUE_TYPES, PUNCHES, CELL_NAMES } from './trainer.js';
+import { getSetting, setSetting } from './settings.js';
+
+// 面板欄位：options 欄位為選單 ([value, text])，其他為滑桿
+const FIELDS = [
+  { key: 'mode', label: '提示方式', options: Object.entries(TRAINER_MODES) },
+  { key: 'cue', label: '提示聲', options: Object.entries(CUE_TYPES) },
+  { key: 'rounds', label: '回合數', min: 1, max: 12, step: 1 },
+  { key: 'roundTime', label: '回合秒數', min: 15, max: 180, step: 15 },
+  { key: 'restTime', label: '休息秒數', min: 0, max: 60, step: 5 },
+  { key: 'timeout', label: '時限 (秒)', min: 0.5, max: 4, step: 0.25 }
+];
+
+// 狀態列更新間隔 (毫秒)
+const HUD_INTERVAL = 200;
+
+/**
+ * 秒數 → m:ss
+ */
+function formatTime(seconds) {
+  const total = Math.ceil(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function formatPercent(value) {
+  return value === null ? '-' : `${Math.round(value * 100)}%`;
+}
+
+function formatReaction(value) {
+  return value === null ? '-' : `${Math.round(value)}ms`;
+}
+
+export class TrainerPanel {
+  /**
+   * @param {HTMLElement} container - 面板容器
+   * @param {ReactionTrainer} trainer - 反應訓練
+   * @param {Object} options
+   * @param {HTMLElement} options.overlay - 放狀態列與結算畫面的容器
+   * @param {Function} options.getCells - 回傳目前的格子元素 (依鼓墊索引)
+   * @param {Function} options.onBeforeStart - 開始前呼叫 (切換到 3×3 配置、停止節奏遊戲)
+   */
+  constructor(container, trainer, { overlay, getCells, onBeforeStart }) {
+    this.container = container;
+    this.trainer = trainer;
+    this.getCells = getCells;
+    this.onBeforeStart = onBeforeStart;
+    this.hudTimer = null;
+
+    this.hud = document.createElement('div');
+    this.hud.id = 'trainer-hud';
+    this.hud.className = 'hud hidden';
+    overlay.appendChild(this.hud);
+
+    this.summary = document.createElement('div');
+    this.summary.id = 'trainer-summary';
+    this.summary.className = 'result-screen hidden';
+    overlay.appendChild(this.summary);
+
+    this.trainer.onPrompt = (prompt) => this.showPrompt(prompt);
+    this.trainer.onResult = (prompt, result, reaction) => this.showResult(prompt, result, reaction);
+    this.trainer.onPhase = () => {
+      this.clearTarget();
+      this.updateHud();
+    };
+    this.trainer.onEnd = (summary) => this.showSummary(summary);
+
+    this.trainer.set(getSetting('trainer', {}));
+    this.render();
+  }
+
+  update(patch) {
+    this.trainer.set(patch);
+    setSetting('trainer', this.trainer.getParams());
+  }
+
+  start() {
+    this.summary.classList.add('hidden');
+    if (this.onBeforeStart) {
+      this.onBeforeStart();
+    }
+    this.trainer.start(this.getCells().length);
+
+    this.hud.classList.remove('hidden');
+    clearInterval(this.hudTimer);
+    this.hudTimer = setInterval(() => this.updateHud(), HUD_INTERVAL);
+    this.updateHud();
+    this.render();
+  }
+
+  stop() {
+    this.trainer.stop();
+    this.finish();
+  }
+
+  /**
+   * 收起訓練中的畫面元素
+   */
+  finish() {
+    clearInterval(this.hudTimer);
+    this.hudTimer = null;
+    this.clearTarget();
+    this.hud.classList.add('hidden');
+    this.render();
+  }
+
+  showPrompt(prompt) {
+    this.clearTarget();
+    const cell = this.getCells()[prompt.pad];
+    if (cell) {
+      cell.classList.add('trainer-target');
+    }
+    this.updateHud();
+  }
+
+  /**
+   * 在格子上顯示反應時間 (逾時為 MISS)
+   */
+  showResult(prompt, result, reaction) {
+    this.clearTarget();
+
+    const cell = this.getCells()[prompt.pad];
+    if (cell) {
+      const label = document.createElement('span');
+      label.className = `trainer-result ${result}`;
+      label.textContent = result === 'hit' ? formatReaction(reaction) : 'MISS';
+      label.addEventListener('animationend', () => label.remove(), { once: true });
+      cell.appendChild(label);
+    }
+    this.updateHud();
+  }
+
+  clearTarget() {
+    this.getCells().forEach(cell => cell.classList.remove('trainer-target'));
+  }
+
+  /**
+   * 狀態列：階段與倒數、目前的提示、連擊
+   */
+  updateHud() {
+    const { phase, round, prompt, combo } = this.trainer;
+    const remaining = this.trainer.getRemaining();
+
+    const status = document.createElement('div');
+    status.className = 'trainer-phase';
+    if (phase === 'ready') {
+      status.textContent = `準備 ${Math.ceil(remaining)}`;
+    } else if (phase === 'round') {
+      status.textContent = `第 ${round} / ${this.trainer.params.rounds} 回合 · ${formatTime(remaining)}`;
+    } else if (phase === 'rest') {
+      status.textContent = `休息 ${formatTime(remaining)}`;
+    }
+
+    const cue = document.createElement('div');
+    cue.className = 'trainer-prompt';
+    cue.textContent = phase === 'round' && prompt ? prompt.text : '';
+
+    const comboLine = document.createElement('div');
+    comboLine.className = 'trainer-combo';
+    comboLine.textContent = combo >= 2 ? `${combo} 連擊` : '';
+
+    this.hud.replaceChildren(status, cue, comboLine);
+  }
+
+  /**
+   * 結算畫面：整體統計與每個區域的命中率、平均反應時間
+   */
+  showSummary(summary) {
+    this.finish();
+    this.summary.replaceChildren();
+
+    const title = document.createElement('h2');
+    title.textContent = '訓練結算';
+
+    const overall = document.createElement('table');
+    const rows = [
+      ['回合', summary.rounds],
+      ['命中', `${summary.hits} / ${summary.prompts}`],
+      ['命中率', formatPercent(summary.accuracy)],
+      ['平均反應', formatReaction(summary.averageReaction)],
+      ['最大連擊', summary.maxCombo],
+      ['誤擊', summary.wrong]
+    ];
+    if (summary.mode === 'combo') {
+      rows.splice(5, 0, ['完成組合拳', summary.combosCompleted]);
+    }
+    rows.forEach(([label, value]) => {
+      const row = overall.insertRow();
+      row.insertCell().textContent = label;
+      row.insertCell().textContent = value;
+    });
+
+    const zones = document.createElement('table');
+    zones.className = 'result-zones';
+    const header = zones.createTHead().insertRow();
+    ['區域', '命中', '命中率', '平均反應'].forEach(text => {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      header.appendChild(cell);
+    });
+    const body = zones.createTBody();
+    summary.zones.forEach(zone => {
+      const row = body.insertRow();
+      row.insertCell().textContent = zone.name;
+      row.insertCell().textContent = `${zone.hits} / ${zone.prompts}`;
+      row.insertCell().textContent = formatPercent(zone.accuracy);
+      row.insertCell().textContent = formatReaction(zone.averageReaction);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'panel-row';
+    actions.append(
+      this.createButton('再來一次', () => this.start()),
+      this.createButton('關閉', () => this.summary.classList.add('hidden'))
+    );
+
+    this.summary.append(title, overall, zones, actions);
+    this.summary.classList.remove('hidden');
+  }
+
+  render() {
+    this.container.replaceChildren();
+
+    const title = document.createElement('h3');
+    title.textContent = '反應訓練';
+    this.container.appendChild(title);
+
+    const params = this.trainer.getParams();
+    const isActive = this.trainer.isActive();
+
+    FIELDS.forEach(field => {
+      const row = document.createElement('div');
+      row.className = 'panel-row';
+
+      const label = document.createElement('label');
+      label.textContent = field.label;
+      row.append(label, this.createControl(field, params[field.key], isActive));
+      this.container.appendChild(row);
+    });
+
+    const startBtn = this.createButton(isActive ? '■ 停止' : '▶ 開始', () => {
+      if (this.trainer.isActive()) {
+        this.stop();
+      } else {
+        this.start();
+      }
+    });
+    startBtn.classList.toggle('active', isActive);
+
+    const actions = document.createElement('div');
+    actions.className = 'panel-row';
+    actions.appendChild(startBtn);
+    this.container.appendChild(actions);
+
+    const punches = Object.entries(PUNCHES).map(([name, pad]) => `${name} → ${CELL_NAMES[pad]}`).join('、');
+    this.container.appendChild(this.createNote(
+      params.mode === 'combo'
+        ? `依序出組合拳：${punches}`
+        : '隨機提示 3×3 其中一格 (語音提示時念出位置)'
+    ));
+    this.container.appendChild(this.createNote('打到亮起的格子記下反應時間，超過時限算失誤並中斷連擊；開始時切換到 3×3 配置'));
+  }
+
+  createControl(field, value, disabled) {
+    if (field.options) {
+      const select = document.createElement('select');
+      field.options.forEach(([optionValue, text]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = text;
+        option.selected = optionValue === value;
+        select.appendChild(option);
+      });
+      select.disabled = disabled;
+      select.addEventListener('change', () => {
+        this.update({ [field.key]: select.value });
+        this.render();
+      });
+      return select;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.step;
+    input.value = value;
+    input.disabled = disabled;
+
+    const display = document.createElement('span');
+    display.className = 'panel-value';
+    display.textContent = value;
+
+    input.addEventListener('input', () => {
+      const number = parseFloat(input.value);
+      display.textContent = number;
+      this.update({ [field.key]: number });
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'panel-slider';
+    wrapper.append(input, display);
+    return wrapper;
+  }
+
+  /**
+   * 離開時移除訓練畫面元素
+   */
+  dispose() {
+    this.trainer.dispose();
+    clearInterval(this.hudTimer);
+    this.clearTarget();
+    this.hud.remove();
+    this.summary.remove();
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn-small';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  createNote(text) {
+    const note = document.createElement('p');
+    note.className = 'panel-note';
+    note.textContent = text;
+    return note;
+  }
+}
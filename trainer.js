@@ -0,0 +1,388 @@
+/**
+ * Neon Motion Drum - 反應訓練 (拳擊)
+ * 在 3×3 格子上提示要打的格子 (畫面標示 + 提示音或 speechSynthesis 語音)，量測每一拳的反應時間
+ * 以回合計時，回合之間休息；結束後整理每個區域的命中率與平均反應時間
+ *
+ * 提示方式：
+ * - random: 隨機一格 (不連續同一格)，語音念出位置 (左上、中、右下...)
+ * - combo: 依序跑 COMBOS 裡的組合拳 (直拳、勾拳、上勾拳對應固定的格子)
+ *
+ * 反應時間從提示出現開始計算 (只用語音提示時從開始念出來算)；逾時未打到算失誤並中斷連擊
+ * 打到其他格子記為誤擊，不中斷連擊 (揮拳經過相鄰格子也會觸發)
+ */
+
+export const TRAINER_MODES = {
+  random: '隨機',
+  combo: '組合拳'
+};
+
+export const CUE_TYPES = {
+  beep: '提示音',
+  voice: '語音',
+  both: '提示音 + 語音'
+};
+
+export const DEFAULT_TRAINER = {
+  mode: 'random',
+  cue: 'beep',
+  rounds: 3,
+  roundTime: 60,   // 每回合秒數
+  restTime: 20,    // 回合間休息秒數
+  timeout: 2       // 每個提示的時限 (秒)
+};
+
+// 訓練使用的鼓墊配置 (zones.js)
+export const TRAINER_LAYOUT = 'grid';
+
+// 3×3 格子的位置名稱 (依區域順序)
+export const CELL_NAMES = ['左上', '上', '右上', '左', '中', '右', '左下', '下', '右下'];
+
+// 拳法對應的格子
+export const PUNCHES = {
+  '直拳': 4,
+  '左勾拳': 3,
+  '右勾拳': 5,
+  '上勾拳': 1
+};
+
+// 組合拳 (依序循環)
+export const COMBOS = [
+  ['直拳', '直拳'],
+  ['直拳', '右勾拳'],
+  ['左勾拳', '右勾拳'],
+  ['直拳', '左勾拳', '右勾拳'],
+  ['直拳', '直拳', '上勾拳'],
+  ['左勾拳', '上勾拳', '右勾拳']
+];
+
+// 第一回合前的準備時間 (秒)
+const READY_TIME = 3;
+
+// 打中或逾時後到下一個提示的間隔 (毫秒)，組合拳中間較短
+const PROMPT_GAP = 600;
+const COMBO_GAP = 200;
+
+// 提示音 (Hz) 與回合鈴聲
+const CUE_FREQUENCY = 880;
+const BELL_FREQUENCY = 1320;
+const CUE_LEVEL = 0.5;
+
+export class ReactionTrainer {
+  /**
+   * @param {BaseAudioContext} context - 播放提示音
+   */
+  constructor(context) {
+    this.context = context;
+    this.params = { ...DEFAULT_TRAINER };
+
+    // 獨立輸出 (不經過 masterGain)
+    this.output = context.createGain();
+    this.output.gain.value = CUE_LEVEL;
+    this.output.connect(context.destination);
+
+    this.phase = 'idle';    // 'idle' | 'ready' | 'round' | 'rest' | 'done'
+    this.round = 0;
+    this.phaseEnd = 0;      // 目前階段結束的 performance.now() 時間
+    this.padCount = 9;
+    this.prompt = null;     // 目前的提示 { pad, text, shownAt }
+    this.lastPad = null;    // 上一個提示的格子 (隨機時不重複)
+    this.comboIndex = 0;
+    this.comboStep = 0;
+    this.timer = null;        // 階段計時
+    this.promptTimer = null;  // 提示逾時 / 下一個提示
+    this.resetStats();
+
+    this.onPrompt = null;   // (prompt) 出現新的提示
+    this.onResult = null;   // (prompt, result, reaction) result 為 'hit' | 'miss'，reaction 為毫秒
+    this.onPhase = null;    // (phase, round) 進入新的階段
+    this.onEnd = null;      // (summary) 全部回合結束
+  }
+
+  set(params) {
+    Object.keys(DEFAULT_TRAINER).forEach(key => {
+      if (params[key] !== undefined) {
+        this.params[key] = params[key];
+      }
+    });
+    if (!TRAINER_MODES[this.params.mode]) {
+      this.params.mode = DEFAULT_TRAINER.mode;
+    }
+    if (!CUE_TYPES[this.params.cue]) {
+      this.params.cue = DEFAULT_TRAINER.cue;
+    }
+  }
+
+  getParams() {
+    return { ...this.params };
+  }
+
+  resetStats() {
+    this.zones = [];          // 每格 { prompts, hits, reactionTotal }
+    this.wrong = 0;
+    this.combo = 0;
+    this.maxCombo = 0;
+    this.combosCompleted = 0;
+  }
+
+  /**
+   * 是否正在訓練 (含準備與休息)
+   */
+  isActive() {
+    return this.phase === 'ready' || this.phase === 'round' || this.phase === 'rest';
+  }
+
+  /**
+   * 開始訓練：準備幾秒後進入第一回合
+   * @param {number} padCount - 鼓墊數 (隨機提示的範圍)
+   */
+  start(padCount = CELL_NAMES.length) {
+    this.stop();
+    this.padCount = padCount;
+    this.resetStats();
+    this.zones = Array.from({ length: padCount }, () => ({ prompts: 0, hits: 0, reactionTotal: 0 }));
+    this.round = 0;
+    this.lastPad = null;
+    this.comboIndex = 0;
+    this.comboStep = 0;
+    this.enterPhase('ready', READY_TIME, () => this.startRound());
+  }
+
+  /**
+   * 中途停止 (不整理結果)
+   */
+  stop() {
+    clearTimeout(this.timer);
+    clearTimeout(this.promptTimer);
+    this.phase = 'idle';
+    this.prompt = null;
+    if (window.speechSynthesis) {
+      window.speechSynthesis.cancel();
+    }
+  }
+
+  enterPhase(phase, seconds, next) {
+    this.phase = phase;
+    this.phaseEnd = performance.now() + seconds * 1000;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(next, seconds * 1000);
+
+    if (this.onPhase) {
+      this.onPhase(phase, this.round);
+    }
+  }
+
+  /**
+   * 目前階段剩下的秒數
+   */
+  getRemaining() {
+    return Math.max(0, (this.phaseEnd - performance.now()) / 1000);
+  }
+
+  startRound() {
+    this.round++;
+    this.playBell();
+    this.enterPhase('round', this.params.roundTime, () => this.endRound());
+    this.promptTimer = setTimeout(() => this.nextPrompt(), PROMPT_GAP);
+  }
+
+  /**
+   * 回合結束：進行中的提示不計，最後一回合後整理結果
+   */
+  endRound() {
+    clearTimeout(this.promptTimer);
+    if (this.prompt) {
+      this.zones[this.prompt.pad].prompts--;
+      this.prompt = null;
+    }
+    this.playBell();
+
+    if (this.round >= this.params.rounds) {
+      this.phase = 'done';
+      if (this.onEnd) {
+        this.onEnd(this.getSummary());
+      }
+      return;
+    }
+    this.enterPhase('rest', this.params.restTime, () => this.startRound());
+  }
+
+  /**
+   * 出現下一個提示
+   */
+  nextPrompt() {
+    if (this.phase !== 'round') return;
+
+    let pad;
+    let text;
+    if (this.params.mode === 'combo') {
+      text = COMBOS[this.comboIndex % COMBOS.length][this.comboStep];
+      pad = PUNCHES[text];
+    } else {
+      // 隨機一格，不連續出現同一格
+      do {
+        pad = Math.floor(Math.random() * this.padCount);
+      } while (pad === this.lastPad && this.padCount > 1);
+      text = CELL_NAMES[pad] || String(pad + 1);
+    }
+    this.lastPad = pad;
+
+    const prompt = { pad, text, shownAt: performance.now() };
+    this.prompt = prompt;
+    this.zones[pad].prompts++;
+    this.playCue(prompt);
+
+    if (this.onPrompt) {
+      this.onPrompt(prompt);
+    }
+    this.promptTimer = setTimeout(() => this.resolve('miss'), this.params.timeout * 1000);
+  }
+
+  /**
+   * 提示音與語音 (只用語音時，反應時間從開始念出來算)
+   */
+  playCue(prompt) {
+    const { cue } = this.params;
+    if (cue === 'beep' || cue === 'both') {
+      this.playTone(CUE_FREQUENCY, 0.08);
+    }
+
+    if ((cue === 'voice' || cue === 'both') && window.speechSynthesis) {
+      const utterance = new SpeechSynthesisUtterance(prompt.text);
+      utterance.lang = 'zh-TW';
+      utterance.rate = 1.4;
+      if (cue === 'voice') {
+        utterance.onstart = () => {
+          if (this.prompt === prompt) {
+            prompt.shownAt = performance.now();
+          }
+        };
+      }
+      window.speechSynthesis.cancel();
+      window.speechSynthesis.speak(utterance);
+    }
+  }
+
+  /**
+   * 處理一次觸發 (只在回合中有提示時)
+   * @param {number} pad - 鼓墊索引
+   * @param {number} now - 觸發時間 (performance.now())
+   * @returns {string|null} 'hit' | 'wrong'，沒有提示時為 null
+   */
+  handleHit(pad, now = performance.now()) {
+    if (this.phase !== 'round' || !this.prompt) return null;
+
+    if (pad !== this.prompt.pad) {
+      this.wrong++;
+      return 'wrong';
+    }
+    this.resolve('hit', Math.max(0, now - this.prompt.shownAt));
+    return 'hit';
+  }
+
+  /**
+   * 結束目前的提示並排下一個
+   */
+  resolve(result, reaction = null) {
+    const prompt = this.prompt;
+    if (!prompt) return;
+
+    clearTimeout(this.promptTimer);
+    this.prompt = null;
+
+    const zone = this.zones[prompt.pad];
+    let gap = PROMPT_GAP;
+    if (result === 'hit') {
+      zone.hits++;
+      zone.reactionTotal += reaction;
+      this.combo++;
+      this.maxCombo = Math.max(this.maxCombo, this.combo);
+    } else {
+      this.combo = 0;
+    }
+
+    // 組合拳：打完整組才算完成，失誤時換下一組
+    if (this.params.mode === 'combo') {
+      const combo = COMBOS[this.comboIndex % COMBOS.length];
+      this.comboStep = result === 'hit' ? this.comboStep + 1 : combo.length;
+      if (this.comboStep >= combo.length) {
+        if (result === 'hit') {
+          this.combosCompleted++;
+        }
+        this.comboIndex++;
+        this.comboStep = 0;
+      } else {
+        gap = COMBO_GAP;
+      }
+    }
+
+    if (this.onResult) {
+      this.onResult(prompt, result, reaction);
+    }
+    this.promptTimer = setTimeout(() => this.nextPrompt(), gap);
+  }
+
+  /**
+   * 結果：整體與每個區域的命中率、平均反應時間 (毫秒，沒有命中時為 null)
+   */
+  getSummary() {
+    const average = (total, count) => count > 0 ? total / count : null;
+
+    const zones = this.zones
+      .map((zone, pad) => ({
+        pad,
+        name: CELL_NAMES[pad] || String(pad + 1),
+        prompts: zone.prompts,
+        hits: zone.hits,
+        accuracy: average(zone.hits, zone.prompts),
+        averageReaction: average(zone.reactionTotal, zone.hits)
+      }))
+      .filter(zone => zone.prompts > 0);
+
+    const prompts = zones.reduce((sum, zone) => sum + zone.prompts, 0);
+    const hits = zones.reduce((sum, zone) => sum + zone.hits, 0);
+    const reactionTotal = this.zones.reduce((sum, zone) => sum + zone.reactionTotal, 0);
+
+    return {
+      mode: this.params.mode,
+      rounds: this.round,
+      prompts,
+      hits,
+      wrong: this.wrong,
+      accuracy: average(hits, prompts),
+      averageReaction: average(reactionTotal, hits),
+      maxCombo: this.maxCombo,
+      combosCompleted: this.combosCompleted,
+      zones
+    };
+  }
+
+  playTone(frequency, duration, time = this.context.currentTime, type = 'sine') {
+    const osc = this.context.createOscillator();
+    const gain = this.context.createGain();
+
+    osc.type = type;
+    osc.frequency.value = frequency;
+    gain.gain.setValueAtTime(1, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    osc.connect(gain);
+    gain.connect(this.output);
+    osc.start(time);
+    osc.stop(time + duration + 0.01);
+  }
+
+  /**
+   * 回合鈴聲 (連響三下)
+   */
+  playBell() {
+    const now = this.context.currentTime;
+    for (let i = 0; i < 3; i++) {
+      this.playTone(BELL_FREQUENCY, 0.5, now + i * 0.15, 'triangle');
+    }
+  }
+
+  dispose() {
+    this.stop();
+    this.output.disconnect();
+  }
+}
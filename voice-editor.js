@@ -0,0 +1,341 @@
+/**
+ * Neon Motion Drum - 音色編輯面板
+ * 即時調整 voices.js 格式的合成參數並試聽，修改立即套用到 SynthDrums (打鼓時聽到的就是編輯中的音色)
+ * 儲存後寫入設定 (settings.js)，下次開啟自動載入；另存新音色可指定給任一鼓墊
+ */
+
+import { WAVEFORMS, FILTER_TYPES, DEFAULT_VOICES, createLayer, cloneVoice } from './voices.js';
+import { getSetting, setSetting } from './settings.js';
+
+// 音色名稱只允許英數、底線、連字號 (作為 data-sound 與設定的 key)
+const VOICE_NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+/**
+ * 套用已儲存的自訂音色 (啟動時呼叫)
+ */
+export function restoreSavedVoices(drums) {
+  Object.entries(getSetting('voices', {})).forEach(([name, voice]) => {
+    drums.setVoice(name, voice);
+  });
+}
+
+export class VoiceEditor {
+  /**
+   * @param {HTMLElement} container - 面板容器
+   * @param {SynthDrums} drums - 音效系統
+   * @param {Object} options
+   * @param {Function} options.onAssign - 套用到鼓墊時呼叫 (padIndex, voiceName)
+   */
+  constructor(container, drums, options = {}) {
+    this.container = container;
+    this.drums = drums;
+    this.onAssign = options.onAssign || null;
+
+    this.voiceName = null;
+    this.draft = null;
+
+    this.build();
+    this.selectVoice(this.drums.getVoiceNames()[0]);
+  }
+
+  /**
+   * 建立面板骨架 (音色選單、各層參數、操作按鈕)
+   */
+  build() {
+    this.container.replaceChildren();
+
+    const title = document.createElement('h3');
+    title.textContent = '音色編輯';
+
+    this.voiceSelect = document.createElement('select');
+    this.voiceSelect.addEventListener('change', (e) => this.selectVoice(e.target.value));
+
+    this.layersEl = document.createElement('div');
+
+    const addOsc = this.createButton('+ 振盪器', () => this.addLayer('osc'));
+    const addNoise = this.createButton('+ 噪音', () => this.addLayer('noise'));
+
+    this.velocityInput = document.createElement('input');
+    this.velocityInput.type = 'range';
+    this.velocityInput.min = '0.1';
+    this.velocityInput.max = '1';
+    this.velocityInput.step = '0.05';
+    this.velocityInput.value = '1';
+    this.velocityInput.title = '試聽力度';
+    const audition = this.createButton('試聽', () => {
+      this.drums.previewVoice(this.draft, parseFloat(this.velocityInput.value));
+    });
+
+    const save = this.createButton('儲存', () => this.save());
+    const saveAs = this.createButton('另存新音色', () => this.saveAs());
+    const revert = this.createButton('還原', () => this.revert());
+
+    this.padSelect = document.createElement('select');
+    const assign = this.createButton('套用到鼓墊', () => {
+      if (this.onAssign && this.padSelect.value !== '') {
+        this.onAssign(parseInt(this.padSelect.value), this.voiceName);
+      }
+    });
+
+    this.container.append(
+      title,
+      this.createRow('音色', this.voiceSelect),
+      this.layersEl,
+      this.createRow(null, addOsc, addNoise),
+      this.createRow('力度', this.velocityInput, audition),
+      this.createRow(null, save, saveAs, revert),
+      this.createRow('鼓墊', this.padSelect, assign)
+    );
+  }
+
+  /**
+   * 更新可套用的鼓墊清單 (配置切換時呼叫)
+   */
+  setPads(zones) {
+    this.padSelect.replaceChildren(...zones.map((zone, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = `${index + 1}. ${zone.label} (${zone.sound})`;
+      return option;
+    }));
+  }
+
+  /**
+   * 重新填入音色選單
+   */
+  refreshVoiceList() {
+    this.voiceSelect.replaceChildren(...this.drums.getVoiceNames().map(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      option.selected = name === this.voiceName;
+      return option;
+    }));
+  }
+
+  /**
+   * 切換編輯的音色
+   */
+  selectVoice(name) {
+    this.voiceName = name;
+    this.draft = this.drums.getVoice(name);
+    this.refreshVoiceList();
+    this.renderLayers();
+  }
+
+  /**
+   * 將編輯中的參數套用到音效系統 (未儲存)
+   */
+  commit() {
+    this.drums.setVoice(this.voiceName, this.draft);
+  }
+
+  /**
+   * 儲存目前音色到設定 (存入複本，之後未儲存的修改不會影響已儲存的版本)
+   */
+  save() {
+    const saved = getSetting('voices', {});
+    saved[this.voiceName] = cloneVoice(this.draft);
+    setSetting('voices', saved);
+  }
+
+  /**
+   * 以新名稱儲存目前的參數
+   */
+  saveAs() {
+    const name = window.prompt('新音色名稱 (英數、底線、連字號)', `${this.voiceName}-2`);
+    if (!name) return;
+    if (!VOICE_NAME_PATTERN.test(name)) {
+      window.alert('名稱只能包含英數、底線、連字號');
+      return;
+    }
+
+    // 新音色使用自己的複本，改名不影響原本的音色
+    this.voiceName = name;
+    this.draft = cloneVoice(this.draft);
+    this.draft.label = name;
+    this.commit();
+    this.save();
+    this.refreshVoiceList();
+  }
+
+  /**
+   * 放棄未儲存的修改 (回到已儲存的版本，沒有則回到內建)
+   */
+  revert() {
+    const saved = getSetting('voices', {})[this.voiceName];
+    if (saved) {
+      this.drums.setVoice(this.voiceName, saved);
+    } else if (DEFAULT_VOICES[this.voiceName]) {
+      this.drums.resetVoice(this.voiceName);
+    }
+    this.selectVoice(this.voiceName);
+  }
+
+  addLayer(source) {
+    this.draft.layers.push(createLayer(source));
+    this.commit();
+    this.renderLayers();
+  }
+
+  removeLayer(index) {
+    // 至少保留一層
+    if (this.draft.layers.length <= 1) return;
+    this.draft.layers.splice(index, 1);
+    this.commit();
+    this.renderLayers();
+  }
+
+  /**
+   * 依目前參數重建各層的輸入欄位 (結構改變時呼叫；數值修改不重建)
+   */
+  renderLayers() {
+    this.layersEl.replaceChildren(...this.draft.layers.map((layer, index) => this.renderLayer(layer, index)));
+  }
+
+  renderLayer(layer, index) {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'panel-layer';
+
+    const legend = document.createElement('legend');
+    legend.textContent = `層 ${index + 1}`;
+    fieldset.appendChild(legend);
+
+    layer.velocity = layer.velocity || {};
+
+    fieldset.append(
+      this.createRow('音源',
+        this.createSelect(['osc', 'noise'], layer.source, (value) => {
+          layer.source = value;
+          layer.pitch = layer.pitch || { start: 220 };
+          this.renderLayers();
+        }),
+        this.createButton('刪除', () => this.removeLayer(index))
+      )
+    );
+
+    if (layer.source === 'osc') {
+      fieldset.append(
+        this.createRow('波形', this.createSelect(WAVEFORMS, layer.wave, (value) => { layer.wave = value; })),
+        this.createRow('音高',
+          this.createNumber(layer.pitch, 'start', { min: 20, max: 20000, step: 1 }),
+          this.createNumber(layer.pitch, 'end', { min: 20, max: 20000, step: 1, optional: true, title: '滑到 (Hz)' }),
+          this.createNumber(layer.pitch, 'time', { min: 0.005, max: 2, step: 0.005, optional: true, title: '滑音時間 (秒)' })
+        ),
+        this.createRow('力度→音高', this.createNumber(layer.velocity, 'pitch', { min: 0, max: 1, step: 0.05, optional: true }))
+      );
+    }
+
+    fieldset.append(
+      this.createRow('音量', this.createNumber(layer, 'level', { min: 0, max: 1, step: 0.05 })),
+      this.createRow('衰減', this.createNumber(layer, 'decay', { min: 0.01, max: 4, step: 0.01 })),
+      this.createRow('力度→衰減', this.createNumber(layer.velocity, 'decay', { min: 0, max: 1, step: 0.05, optional: true }))
+    );
+
+    if (layer.bursts) {
+      fieldset.append(this.createRow('連發',
+        this.createNumber(layer.bursts, 'count', { min: 1, max: 8, step: 1, title: '次數' }),
+        this.createNumber(layer.bursts, 'interval', { min: 0.005, max: 0.1, step: 0.005, title: '間隔 (秒)' })
+      ));
+    }
+
+    layer.filters = layer.filters || [];
+    layer.filters.forEach((filter, filterIndex) => {
+      fieldset.append(
+        this.createRow(`濾波 ${filterIndex + 1}`,
+          this.createSelect(FILTER_TYPES, filter.type, (value) => { filter.type = value; }),
+          this.createButton('×', () => {
+            layer.filters.splice(filterIndex, 1);
+            this.commit();
+            this.renderLayers();
+          })
+        ),
+        this.createRow('頻率',
+          this.createNumber(filter, 'frequency', { min: 20, max: 20000, step: 10 }),
+          this.createNumber(filter, 'q', { min: 0.1, max: 30, step: 0.1, optional: true, title: 'Q' })
+        ),
+        this.createRow('滑到',
+          this.createNumber(filter, 'sweepTo', { min: 20, max: 20000, step: 10, optional: true, title: '滑到 (Hz)' }),
+          this.createNumber(filter, 'sweepTime', { min: 0.005, max: 2, step: 0.005, optional: true, title: '滑移時間 (秒)' })
+        ),
+        this.createRow('力度→頻率', this.createNumber(filter, 'velocity', { min: 0, max: 1, step: 0.05, optional: true }))
+      );
+    });
+
+    fieldset.append(this.createRow(null, this.createButton('+ 濾波器', () => {
+      layer.filters.push({ type: 'lowpass', frequency: 2000 });
+      this.commit();
+      this.renderLayers();
+    })));
+
+    return fieldset;
+  }
+
+  /**
+   * 數值輸入欄位：修改時直接寫入 target[key] 並套用
+   * optional 為 true 時可清空 (刪除該參數)
+   */
+  createNumber(target, key, { min, max, step, optional = false, title = '' }) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.title = title;
+    input.value = target[key] ?? '';
+
+    input.addEventListener('change', () => {
+      const value = parseFloat(input.value);
+      if (Number.isNaN(value)) {
+        if (optional) {
+          delete target[key];
+        } else {
+          input.value = target[key];
+          return;
+        }
+      } else {
+        target[key] = Math.max(min, Math.min(max, value));
+        input.value = target[key];
+      }
+      this.commit();
+    });
+
+    return input;
+  }
+
+  createSelect(values, selected, onChange) {
+    const select = document.createElement('select');
+    values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      option.selected = value === selected;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+      onChange(select.value);
+      this.commit();
+    });
+    return select;
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn-small';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  createRow(labelText, ...controls) {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+    if (labelText) {
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      row.appendChild(label);
+    }
+    row.append(...controls);
+    return row;
+  }
+}
@@ -0,0 +1,286 @@
+/**
+ * Neon Motion Drum - 合成音色定義
+ * 每個音色是一組參數物件，由 audio.js 的 SynthDrums.playVoice() 依參數建立節點播放
+ * 音色編輯器 (voice-editor.js) 直接修改這些參數，不需要為每個音色寫程式
+ *
+ * 音色格式：{ label, layers: [layer, ...] }
+ *
+ * 層 (layer) 格式：
+ * - source: 'osc' (振盪器) 或 'noise' (白噪音)
+ * - wave: 振盪器波形 'sine' / 'square' / 'sawtooth' / 'triangle' (source 為 osc 時)
+ * - pitch: { start, end, time } 音高 (Hz)，time 秒內從 start 指數滑到 end；省略 end 為固定音高
+ * - filters: [{ type, frequency, q, sweepTo, sweepTime, velocity, keyTrack }] 依序串接的濾波器
+ *   sweepTo / sweepTime 為頻率滑移 (可省略)，velocity 為力度影響頻率的比例
+ *   keyTrack 為 true 時濾波頻率跟著音高移調 (旋律模式)
+ * - level: 音量 (0-1，乘上力度)
+ * - decay: 衰減時間 (秒)
+ * - velocity: { pitch, decay } 力度影響起始音高 / 衰減時間的比例 (0 = 不影響)
+ * - bursts: { count, interval, accent } 重複觸發多次 (例如拍手)，最後一下音量乘上 accent
+ *
+ * 力度影響比例的算法與 scaleByVelocity 相同：value × (1 - amount + amount × velocity)
+ *
+ * 旋律模式以 A4 (440Hz) 為基準移調：振盪器音高 (與 keyTrack 濾波器) 乘上 目標頻率 / 440
+ * 旋律音色 (MELODIC_VOICES) 的音高都設定在 A4
+ */
+
+export const WAVEFORMS = ['sine', 'square', 'sawtooth', 'triangle'];
+export const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass'];
+
+/**
+ * 內建音色
+ */
+export const DEFAULT_VOICES = {
+  // 大鼓：低頻 sine + 快速 pitch bend，力度越大起始音高越高 (更有衝擊感)
+  kick: {
+    label: 'Kick',
+    layers: [
+      {
+        source: 'osc', wave: 'sine',
+        pitch: { start: 150, end: 40, time: 0.1 },
+        level: 1, decay: 0.4,
+        velocity: { pitch: 0.3 }
+      }
+    ]
+  },
+
+  // 小鼓：噪音 + 三角波，力度越大噪音濾波頻率越高 (更亮)
+  snare: {
+    label: 'Snare',
+    layers: [
+      {
+        source: 'noise',
+        filters: [{ type: 'bandpass', frequency: 3000, q: 1, velocity: 0.5 }],
+        level: 0.8, decay: 0.2
+      },
+      {
+        source: 'osc', wave: 'triangle',
+        pitch: { start: 180, end: 100, time: 0.05 },
+        level: 0.7, decay: 0.1
+      }
+    ]
+  },
+
+  // 閉合 Hi-hat：高頻噪音 + 極短衰減，力度越大衰減越長
+  hihat: {
+    label: 'Hi-hat',
+    layers: [
+      {
+        source: 'noise',
+        filters: [{ type: 'highpass', frequency: 7000 }],
+        level: 0.4, decay: 0.08,
+        velocity: { decay: 0.3 }
+      }
+    ]
+  },
+
+  // 開放 Hi-hat：衰減拉長並加一點 bandpass 金屬感
+  openhat: {
+    label: 'Open Hat',
+    layers: [
+      {
+        source: 'noise',
+        filters: [
+          { type: 'highpass', frequency: 7000 },
+          { type: 'bandpass', frequency: 10000, q: 0.8 }
+        ],
+        level: 0.35, decay: 0.45,
+        velocity: { decay: 0.4 }
+      }
+    ]
+  },
+
+  // 拍手：多層噪音爆發模擬「散開」感，最後一下最大聲
+  clap: {
+    label: 'Clap',
+    layers: [
+      {
+        source: 'noise',
+        filters: [{ type: 'bandpass', frequency: 1500, q: 0.5 }],
+        level: 0.4, decay: 0.15,
+        bursts: { count: 4, interval: 0.01, accent: 2 }
+      }
+    ]
+  },
+
+  // 高音通鼓
+  tom1: {
+    label: 'Tom 1',
+    layers: [
+      {
+        source: 'osc', wave: 'sine',
+        pitch: { start: 200, end: 100, time: 0.15 },
+        level: 0.8, decay: 0.3
+      }
+    ]
+  },
+
+  // 低音通鼓
+  tom2: {
+    label: 'Tom 2',
+    layers: [
+      {
+        source: 'osc', wave: 'sine',
+        pitch: { start: 120, end: 60, time: 0.15 },
+        level: 0.8, decay: 0.3
+      }
+    ]
+  },
+
+  // 碎音鈸：噪音 + 長衰減，力度越大殘響越長、高頻越亮
+  crash: {
+    label: 'Crash',
+    layers: [
+      {
+        source: 'noise',
+        filters: [
+          { type: 'highpass', frequency: 5000 },
+          { type: 'lowpass', frequency: 12000, velocity: 0.4 }
+        ],
+        level: 0.7, decay: 1.5,
+        velocity: { decay: 0.5 }
+      }
+    ]
+  },
+
+  // Ride 鈸：高頻噪音 + 金屬共鳴 (高頻正弦波)
+  ride: {
+    label: 'Ride',
+    layers: [
+      {
+        source: 'noise',
+        filters: [{ type: 'bandpass', frequency: 8000, q: 2 }],
+        level: 0.3, decay: 0.6
+      },
+      {
+        source: 'osc', wave: 'sine',
+        pitch: { start: 6000 },
+        level: 0.1, decay: 0.4
+      }
+    ]
+  },
+
+  // 合成器短音：方波 + 濾波器 sweep，力度越大濾波器起始頻率越高
+  synth: {
+    label: 'Synth',
+    layers: [
+      {
+        source: 'osc', wave: 'square',
+        pitch: { start: 440 },  // A4
+        filters: [{ type: 'lowpass', frequency: 2000, q: 5, sweepTo: 200, sweepTime: 0.3, velocity: 0.5, keyTrack: true }],
+        level: 0.4, decay: 0.3
+      }
+    ]
+  },
+
+  // 以下為旋律模式的音色 (音高在 A4，播放時移調)
+
+  // 貝斯：鋸齒波 + 低通 sweep
+  bass: {
+    label: 'Bass',
+    layers: [
+      {
+        source: 'osc', wave: 'sawtooth',
+        pitch: { start: 440 },
+        filters: [{ type: 'lowpass', frequency: 1200, q: 4, sweepTo: 300, sweepTime: 0.25, velocity: 0.5, keyTrack: true }],
+        level: 0.5, decay: 0.5
+      }
+    ]
+  },
+
+  // 撥弦：三角波 + 快速關閉的低通
+  pluck: {
+    label: 'Pluck',
+    layers: [
+      {
+        source: 'osc', wave: 'triangle',
+        pitch: { start: 440 },
+        filters: [{ type: 'lowpass', frequency: 3000, sweepTo: 800, sweepTime: 0.15, velocity: 0.4, keyTrack: true }],
+        level: 0.5, decay: 0.25,
+        velocity: { decay: 0.3 }
+      }
+    ]
+  },
+
+  // 鐘聲：基音 + 非整數倍泛音 (2.76 倍)，長衰減
+  bell: {
+    label: 'Bell',
+    layers: [
+      {
+        source: 'osc', wave: 'sine',
+        pitch: { start: 440 },
+        level: 0.4, decay: 1.2
+      },
+      {
+        source: 'osc', wave: 'sine',
+        pitch: { start: 1214.4 },
+        level: 0.15, decay: 0.6
+      }
+    ]
+  }
+};
+
+// 旋律模式可選的音色 (音高以 A4 為基準)
+export const MELODIC_VOICES = ['synth', 'bass', 'pluck', 'bell'];
+
+/**
+ * 深層複製音色 (編輯時不修改內建設定)
+ */
+export function cloneVoice(voice) {
+  return JSON.parse(JSON.stringify(voice));
+}
+
+/**
+ * 建立新的空白層
+ */
+export function createLayer(source = 'osc') {
+  return source === 'noise'
+    ? { source: 'noise', filters: [{ type: 'bandpass', frequency: 3000, q: 1 }], level: 0.5, decay: 0.2 }
+    : { source: 'osc', wave: 'sine', pitch: { start: 220 }, filters: [], level: 0.5, decay: 0.3 };
+}
+
+const isPositive = value => Number.isFinite(value) && value > 0;
+
+// 可省略 (0 / null 表示不滑動) 的滑動目標：有設定時必須大於 0 (exponentialRamp 的限制)
+const isRampTarget = value => !value || isPositive(value);
+
+// 可省略的數值 (未設定或 null)
+const isOptionalNumber = value => value == null || Number.isFinite(value);
+
+/**
+ * 層的參數是否可以播放：起始音高、濾波頻率與衰減為正數，滑動目標大於 0，音量不為負
+ */
+function isValidLayer(layer) {
+  if (layer.source === 'osc') {
+    const { start, end, time } = layer.pitch;
+    if (!isPositive(start) || !isRampTarget(end) || !isOptionalNumber(time)) {
+      return false;
+    }
+  }
+
+  const filtersValid = layer.filters.every(filter =>
+    filter && isPositive(filter.frequency) && isRampTarget(filter.sweepTo) &&
+    isOptionalNumber(filter.sweepTime) && isOptionalNumber(filter.q)
+  );
+  return filtersValid && Number.isFinite(layer.level) && layer.level >= 0 && isPositive(layer.decay);
+}
+
+/**
+ * 整理外部載入的音色 (設定檔、音色包)：補上缺少的欄位，無效時回傳 null
+ * 任何一層的參數無法播放時整個音色無效 (音色包會列在 failed)
+ */
+export function normalizeVoice(voice) {
+  if (!voice || !Array.isArray(voice.layers) || voice.layers.length === 0) return null;
+
+  const layers = voice.layers.map(layer => ({
+    ...layer,
+    source: layer.source === 'noise' ? 'noise' : 'osc',
+    wave: WAVEFORMS.includes(layer.wave) ? layer.wave : 'sine',
+    pitch: layer.pitch || { start: 220 },
+    filters: Array.isArray(layer.filters) ? layer.filters : [],
+    level: layer.level ?? 0.5,
+    decay: layer.decay ?? 0.3
+  }));
+  if (!layers.every(isValidLayer)) return null;
+
+  return { label: voice.label || '', layers };
+}
@@ -0,0 +1,91 @@
+/**
+ * Neon Motion Drum - 鼓墊區域設定
+ * 每個鼓墊是偵測畫面上的一個矩形，座標以相對比例 (0-1) 表示
+ * 偵測器 (motion.js) 與格線 UI (script.js) 共用同一份設定，確保看到的位置就是偵測的位置
+ *
+ * 區域格式：{ x, y, w, h, sound, label, articulations, choke }
+ * - x, y: 左上角位置 (0-1，相對於偵測畫面)
+ * - w, h: 寬高 (0-1)
+ * - sound: audio.js 的音色名稱
+ * - label: 格子上顯示的文字
+ * - articulations: (可選) 依揮動方向改用的音色，例如 { up: 'openhat' }
+ *   方向為 up / down / left / right，未列出的方向使用 sound
+ * - choke: (可選) 悶音組編號，同組鼓墊觸發時切斷彼此仍在響的聲音 (包含自己)，可在混音器調整
+ */
+
+/**
+ * 建立均分的 cols × rows 格子區域
+ * @param {number} cols - 欄數
+ * @param {number} rows - 列數
+ * @param {Array<Object>} pads - 依閱讀順序 (左到右、上到下) 的鼓墊設定 (sound, label, articulations, choke)
+ */
+export function createGridZones(cols, rows, pads = []) {
+  const zones = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const pad = pads[row * cols + col] || {};
+      zones.push({
+        ...pad,
+        x: col / cols,
+        y: row / rows,
+        w: 1 / cols,
+        h: 1 / rows,
+        sound: pad.sound || 'synth',
+        label: pad.label || String(row * cols + col + 1)
+      });
+    }
+  }
+
+  return zones;
+}
+
+/**
+ * 內建的鼓墊配置
+ */
+export const ZONE_LAYOUTS = {
+  // 經典 3x3 (與 README 鼓墊配置圖一致)
+  grid: {
+    name: '3×3',
+    zones: createGridZones(3, 3, [
+      { sound: 'hihat', label: 'HH', articulations: { up: 'openhat' }, choke: 1 },  // 往下打閉合、往上揮開放 (閉合切斷開放)
+      { sound: 'snare', label: 'SNR' },
+      { sound: 'crash', label: 'CYM', choke: 2 },
+      { sound: 'tom1', label: 'TM1' },
+      { sound: 'kick', label: 'KCK' },
+      { sound: 'tom2', label: 'TM2' },
+      { sound: 'clap', label: 'CLP' },
+      { sound: 'ride', label: 'RID', choke: 2 },  // 與 Crash 同組：打 Ride 切斷 Crash 殘響
+      { sound: 'synth', label: 'SYN' }
+    ])
+  },
+
+  // 舞台配置：上方角落小鈸、中段鼓組、底部整條大鼓
+  stage: {
+    name: '舞台',
+    zones: [
+      { x: 0, y: 0, w: 0.2, h: 0.25, sound: 'crash', label: 'CYM', choke: 2 },
+      { x: 0.8, y: 0, w: 0.2, h: 0.25, sound: 'ride', label: 'RID', choke: 2 },
+      { x: 0.3, y: 0.05, w: 0.18, h: 0.22, sound: 'tom1', label: 'TM1' },
+      { x: 0.52, y: 0.05, w: 0.18, h: 0.22, sound: 'tom2', label: 'TM2' },
+      { x: 0, y: 0.35, w: 0.18, h: 0.3, sound: 'hihat', label: 'HH', articulations: { up: 'openhat' }, choke: 1 },
+      { x: 0.22, y: 0.35, w: 0.26, h: 0.3, sound: 'snare', label: 'SNR' },
+      { x: 0.52, y: 0.35, w: 0.26, h: 0.3, sound: 'clap', label: 'CLP' },
+      { x: 0.82, y: 0.35, w: 0.18, h: 0.3, sound: 'synth', label: 'SYN' },
+      { x: 0, y: 0.72, w: 1, h: 0.28, sound: 'kick', label: 'KCK' }
+    ]
+  }
+};
+
+export const DEFAULT_LAYOUT = 'grid';
+
+/**
+ * 複製指定配置的區域 (避免外部修改內建設定)
+ */
+export function getLayoutZones(name) {
+  const layout = ZONE_LAYOUTS[name] || ZONE_LAYOUTS[DEFAULT_LAYOUT];
+  return layout.zones.map(zone => ({
+    ...zone,
+    articulations: zone.articulations ? { ...zone.articulations } : undefined
+  }));
+}